@@ -0,0 +1,178 @@
+// lib/audit-log.js - Persistent record of every Auth47 challenge's lifecycle
+//
+// Events, one document each:
+//   created   challenge issued (/start-auth or the client API)
+//   verified  wallet proof accepted; carries the payment code
+//   failed    proof rejected; carries the error code, the reason and the
+//             payment code the wallet claimed (unverified). The challenge
+//             stays open for another proof
+//   expired   challenge ran out before any proof was accepted; carries the
+//             last `rejection` ({ code, error }) if a proof was refused
+//   consumed  verified nonce used up, with `consumer` saying by what
+//             (session, guestbook or oidc)
+// Every event has `createdAt` and the ip/userAgent of the request behind it.
+//
+// The log lives in MongoDB; without a database events are only logged to the
+// console. Either way the log notices challenges that run out unverified and
+// tells onExpired() listeners (used for API client webhooks).
+
+// How often open challenges are checked for expiry
+const EXPIRY_SWEEP_MS = 60 * 1000;
+
+// Client metadata recorded with an event
+export const requestMetadata = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('User-Agent') || null
+});
+
+export function createAuditLog(collection) {
+  let sweepTimer = null;
+  const expiryListeners = [];
+  // Without a database, challenges still open are tracked here instead
+  // (nonce => { clientId, expiresAt, rejection })
+  const openChallenges = new Map();
+
+  // Without a database every event goes to the console instead
+  const logToConsole = (event, data) => {
+    console.log(`📋 Audit ${event}: ${JSON.stringify(data)}`);
+  };
+
+  const notifyExpired = async (expiry) => {
+    for (const listener of expiryListeners) {
+      try {
+        await listener(expiry);
+      } catch (error) {
+        console.error(`❌ Audit expiry listener error for ${expiry.nonce}:`, error);
+      }
+    }
+  };
+
+  // Created challenges stay `open` until something settles them; the sweep
+  // turns the ones still open after expiresAt into `expired` events
+  const settle = (nonce) =>
+    collection.updateOne({ nonce, event: 'created', open: true }, { $set: { open: false } });
+
+  // The same bookkeeping without a database
+  const trackOpen = (event, { nonce, clientId, expiresAt, code, reason }) => {
+    if (!nonce) return;
+    if (event === 'created') {
+      openChallenges.set(nonce, { clientId: clientId || null, expiresAt, rejection: null });
+    } else if (event === 'failed') {
+      const open = openChallenges.get(nonce);
+      if (open) {
+        open.rejection = { code, error: reason };
+      }
+    } else {
+      openChallenges.delete(nonce);
+    }
+  };
+
+  const sweepExpired = async () => {
+    try {
+      const now = new Date();
+      if (!collection) {
+        for (const [nonce, open] of openChallenges) {
+          if (open.expiresAt <= now) {
+            openChallenges.delete(nonce);
+            logToConsole('expired', { nonce, clientId: open.clientId, rejection: open.rejection });
+            await notifyExpired({ nonce, ...open });
+          }
+        }
+        return;
+      }
+
+      let entry;
+      // Claim entries one at a time so instances don't double-record them
+      while ((entry = await collection.findOneAndUpdate(
+        { event: 'created', open: true, expiresAt: { $lte: now } },
+        { $set: { open: false } }
+      ))) {
+        const failure = await collection.findOne(
+          { nonce: entry.nonce, event: 'failed' },
+          { sort: { createdAt: -1 } }
+        );
+        const expiry = {
+          nonce: entry.nonce,
+          clientId: entry.clientId || null,
+          expiresAt: entry.expiresAt,
+          rejection: failure ? { code: failure.code, error: failure.reason } : null
+        };
+        await collection.insertOne({
+          event: 'expired',
+          nonce: expiry.nonce,
+          clientId: expiry.clientId,
+          rejection: expiry.rejection,
+          createdAt: expiry.expiresAt
+        });
+        await notifyExpired(expiry);
+      }
+    } catch (error) {
+      console.error('❌ Audit expiry sweep error:', error);
+    }
+  };
+
+  return {
+    available: Boolean(collection),
+
+    async init() {
+      if (!sweepTimer) {
+        sweepTimer = setInterval(sweepExpired, EXPIRY_SWEEP_MS);
+        sweepTimer.unref();
+      }
+      if (!collection) return;
+      await collection.createIndex({ nonce: 1, event: 1 });
+      await collection.createIndex({ paymentCode: 1, createdAt: -1, _id: -1 });
+      await collection.createIndex({ claimedPaymentCode: 1, createdAt: -1, _id: -1 });
+      await collection.createIndex({ event: 1, open: 1, expiresAt: 1 });
+    },
+
+    // listener({ nonce, clientId, expiresAt, rejection }) is called once for
+    // every challenge that runs out unverified, on the instance that notices.
+    // `rejection` is the last refused proof, or null if none arrived.
+    onExpired(listener) {
+      expiryListeners.push(listener);
+    },
+
+    // Record an event. Never throws: auditing must not break a login.
+    async record(event, data = {}) {
+      if (!collection) {
+        logToConsole(event, data);
+        trackOpen(event, data);
+        return;
+      }
+      try {
+        const entry = { event, ...data, createdAt: new Date() };
+        if (event === 'created') {
+          entry.open = true;
+        }
+        await collection.insertOne(entry);
+        if (!['created', 'failed'].includes(event) && data.nonce) {
+          await settle(data.nonce);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to record ${event} audit event:`, error);
+      }
+    },
+
+    // Events about a payment code, newest first by (createdAt, _id): its
+    // verifications and consumptions, plus failed proofs that claimed it.
+    // `after` ({ createdAt, _id } of the previous page's last event) pages
+    // back through older entries.
+    async history(paymentCode, { limit = 50, after } = {}) {
+      const conditions = [{ $or: [{ paymentCode }, { claimedPaymentCode: paymentCode }] }];
+      if (after) {
+        conditions.push({
+          $or: [
+            { createdAt: { $lt: after.createdAt } },
+            { createdAt: after.createdAt, _id: { $lt: after._id } }
+          ]
+        });
+      }
+      return collection
+        .find(conditions.length === 1 ? conditions[0] : { $and: conditions }, { projection: { open: 0 } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .toArray();
+    }
+  };
+}
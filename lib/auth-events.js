@@ -0,0 +1,39 @@
+// lib/auth-events.js - In-process notifications for Auth47 challenge updates
+//
+// /verify and POST /callback publish the updated challenge record the moment
+// they settle it or record a rejected proof against it, and
+// /auth-events/:nonce streams the new status to the browser.
+// Updates only reach subscribers on the same instance; streams re-read the
+// auth store periodically to pick up challenges settled elsewhere.
+// subscribeAll() sees every update exactly once, on the instance that
+// made it (used for API client webhooks).
+
+import { EventEmitter } from 'events';
+
+// Event name for subscribeAll listeners; nonces are hex so it can't collide
+const ANY = '*';
+
+export function createAuthEvents() {
+  const emitter = new EventEmitter();
+  // One listener per open stream, so there is no sensible upper bound
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(nonce, update) {
+      emitter.emit(nonce, update);
+      emitter.emit(ANY, nonce, update);
+    },
+
+    // Returns a function that removes the listener again
+    subscribe(nonce, listener) {
+      emitter.on(nonce, listener);
+      return () => emitter.off(nonce, listener);
+    },
+
+    // listener(nonce, update) for every challenge
+    subscribeAll(listener) {
+      emitter.on(ANY, listener);
+      return () => emitter.off(ANY, listener);
+    }
+  };
+}
@@ -0,0 +1,400 @@
+// lib/auth47-api.js - Multi-tenant Auth47 API for registered clients
+//
+// Registered API clients create Auth47 challenges for their own callback and
+// resource URLs instead of this site's CALLBACK_URL. A wallet's proof reaches
+// the shared verification pipeline either directly (when the client's
+// callback is this server's POST /callback) or forwarded by the client to
+// POST /api/v1/proofs. Every client challenge's outcome is pushed to its
+// webhook URL (see lib/webhooks.js): challenge.verified, or challenge.failed /
+// challenge.expired once it runs out unverified.
+//
+// Client requests authenticate with `Authorization: Bearer <api key>`.
+// Registering clients needs the operator's admin token instead.
+
+import express from 'express';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { buildChallengeUri, parseChallenge } from './auth47-verification.js';
+import { requestMetadata } from './audit-log.js';
+
+const DEFAULT_CHALLENGE_TTL = 300;
+const MIN_CHALLENGE_TTL = 30;
+const MAX_CHALLENGE_TTL = 60 * 60;
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const bearerToken = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// http(s) URL; plain http only for local development
+const isHttpUrl = (value) => {
+  const url = typeof value === 'string' && parseUrl(value);
+  if (!url) return false;
+  const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+  return url.protocol === 'https:' || (url.protocol === 'http:' && local);
+};
+
+// Auth47 callbacks may not carry a query string or fragment
+const isCallbackUrl = (value) => isHttpUrl(value) && !new URL(value).search && !new URL(value).hash;
+
+// What clients may see about themselves
+const describeClient = (client) => ({
+  clientId: client._id,
+  name: client.name,
+  callbackUrls: client.callbackUrls,
+  resourceUrls: client.resourceUrls,
+  webhookUrl: client.webhookUrl,
+  challengeTtl: client.challengeTtl,
+  createdAt: client.createdAt
+});
+
+// Registered API clients. Stored in MongoDB when a collection is given,
+// otherwise in memory (clients are then lost on restart).
+export function createApiClientRegistry(collection) {
+  const clients = new Map();
+
+  return {
+    backend: collection ? 'mongo' : 'memory',
+
+    async init() {
+      if (collection) {
+        await collection.createIndex({ apiKeyHash: 1 }, { unique: true });
+      }
+    },
+
+    // Returns the client with its API key, which is only stored hashed
+    async register({ name, callbackUrls, resourceUrls, webhookUrl, challengeTtl }) {
+      const apiKey = crypto.randomBytes(32).toString('base64url');
+      const client = {
+        _id: crypto.randomBytes(16).toString('hex'),
+        name,
+        callbackUrls,
+        resourceUrls,
+        webhookUrl,
+        webhookSecret: webhookUrl ? crypto.randomBytes(32).toString('hex') : null,
+        challengeTtl,
+        apiKeyHash: hashKey(apiKey),
+        createdAt: new Date()
+      };
+
+      if (collection) {
+        await collection.insertOne(client);
+      } else {
+        clients.set(client._id, client);
+      }
+      return { client, apiKey };
+    },
+
+    async find(clientId) {
+      if (typeof clientId !== 'string' || !clientId) return null;
+      return collection
+        ? collection.findOne({ _id: clientId })
+        : clients.get(clientId) || null;
+    },
+
+    async findByApiKey(apiKey) {
+      if (!apiKey) return null;
+      const apiKeyHash = hashKey(apiKey);
+      if (collection) {
+        return collection.findOne({ apiKeyHash });
+      }
+      for (const client of clients.values()) {
+        if (client.apiKeyHash === apiKeyHash) return client;
+      }
+      return null;
+    }
+  };
+}
+
+// clients:      API client registry (createApiClientRegistry)
+// pendingAuths: Auth47 challenge store, keyed by nonce
+// pipeline:     shared verification pipeline (lib/auth47-verification.js)
+// events:       auth events hub; verified client challenges become webhooks
+// webhooks:     webhook dispatcher (lib/webhooks.js)
+// audit:        audit log (lib/audit-log.js); its expiry sweep reports client
+//               challenges that ran out unverified
+// adminToken:   bearer token required to register clients (disabled if unset)
+export function createAuth47Api({ clients, pendingAuths, pipeline, events, webhooks, audit, adminToken }) {
+  const router = express.Router();
+
+  // Queue a webhook for one of a client's challenges, if it has a webhook URL
+  const notifyClient = async (clientId, payload) => {
+    try {
+      const client = await clients.find(clientId);
+      if (!client || !client.webhookUrl) return;
+
+      await webhooks.send({
+        clientId: client._id,
+        url: client.webhookUrl,
+        event: payload.event,
+        payload: { ...payload, timestamp: new Date().toISOString() }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue webhook for ${payload.nonce}:`, error);
+    }
+  };
+
+  // Push every verified client challenge to the client's webhook
+  events.subscribeAll(async (nonce, auth) => {
+    if (!auth.clientId || !auth.verified) return;
+
+    await notifyClient(auth.clientId, {
+      event: 'challenge.verified',
+      nonce,
+      paymentCode: auth.paymentCode,
+      nym: auth.nym,
+      challenge: auth.challenge,
+      signature: auth.signature
+    });
+  });
+
+  // A rejected proof leaves the challenge open, and anyone holding the nonce
+  // can send one, so rejections aren't pushed as they happen. Once a client
+  // challenge runs out unverified the client gets the final outcome:
+  // challenge.failed with the last rejection, or challenge.expired if no
+  // proof arrived.
+  audit.onExpired(async ({ nonce, clientId, rejection }) => {
+    if (!clientId) return;
+
+    await notifyClient(clientId, rejection
+      ? { event: 'challenge.failed', nonce, rejection }
+      : { event: 'challenge.expired', nonce });
+  });
+
+  // Sets req.apiClient from the request's API key
+  const requireApiClient = async (req, res, next) => {
+    try {
+      const client = await clients.findByApiKey(bearerToken(req));
+      if (!client) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      req.apiClient = client;
+      next();
+    } catch (error) {
+      console.error('❌ API key check error:', error);
+      res.status(503).json({ error: 'API clients unavailable' });
+    }
+  };
+
+  // Register an API client (operator only). The API key and webhook secret
+  // are only shown in this response.
+  router.post('/api/v1/clients', async (req, res) => {
+    try {
+      const token = bearerToken(req);
+      if (!adminToken || !token || !safeEqual(token, adminToken)) {
+        return res.status(401).json({ error: 'A valid admin token is required' });
+      }
+
+      const { name, callbackUrls, resourceUrls, webhookUrl, challengeTtl } = req.body || {};
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Missing name parameter' });
+      }
+
+      if (!Array.isArray(callbackUrls) || callbackUrls.length === 0 || !callbackUrls.every(isCallbackUrl)) {
+        return res.status(400).json({
+          error: 'callbackUrls must be a non-empty list of http(s) URLs without query strings'
+        });
+      }
+
+      if (resourceUrls !== undefined && (!Array.isArray(resourceUrls) || !resourceUrls.every(isHttpUrl))) {
+        return res.status(400).json({ error: 'resourceUrls must be a list of http(s) URLs' });
+      }
+
+      if (webhookUrl !== undefined && webhookUrl !== null && !isHttpUrl(webhookUrl)) {
+        return res.status(400).json({ error: 'webhookUrl must be an https URL' });
+      }
+
+      const ttl = challengeTtl === undefined ? DEFAULT_CHALLENGE_TTL : challengeTtl;
+      if (!Number.isInteger(ttl) || ttl < MIN_CHALLENGE_TTL || ttl > MAX_CHALLENGE_TTL) {
+        return res.status(400).json({
+          error: `challengeTtl must be between ${MIN_CHALLENGE_TTL} and ${MAX_CHALLENGE_TTL} seconds`
+        });
+      }
+
+      const { client, apiKey } = await clients.register({
+        name: name.trim(),
+        callbackUrls,
+        // Challenges name their callback as the resource unless told otherwise
+        resourceUrls: resourceUrls && resourceUrls.length ? resourceUrls : callbackUrls,
+        webhookUrl: webhookUrl || null,
+        challengeTtl: ttl
+      });
+
+      console.log(`📝 API client registered: ${client._id} (${client.name})`);
+
+      res.status(201).json({
+        ...describeClient(client),
+        apiKey,
+        webhookSecret: client.webhookSecret
+      });
+    } catch (error) {
+      console.error('💥 API client registration error:', error);
+      res.status(500).json({ error: 'Failed to register client' });
+    }
+  });
+
+  router.get('/api/v1/client', requireApiClient, (req, res) => {
+    res.json(describeClient(req.apiClient));
+  });
+
+  // Create a challenge for one of the client's callback/resource URLs
+  router.post('/api/v1/challenges', requireApiClient, async (req, res) => {
+    try {
+      const client = req.apiClient;
+      const {
+        callback = client.callbackUrls[0],
+        resource = callback,
+        ttl = client.challengeTtl
+      } = req.body || {};
+
+      if (!client.callbackUrls.includes(callback)) {
+        return res.status(400).json({ error: 'callback is not registered for this client' });
+      }
+
+      if (!client.resourceUrls.includes(resource) && !client.callbackUrls.includes(resource)) {
+        return res.status(400).json({ error: 'resource is not registered for this client' });
+      }
+
+      if (!Number.isInteger(ttl) || ttl < MIN_CHALLENGE_TTL || ttl > client.challengeTtl) {
+        return res.status(400).json({
+          error: `ttl must be between ${MIN_CHALLENGE_TTL} and ${client.challengeTtl} seconds`
+        });
+      }
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const expiry = Math.floor(Date.now() / 1000) + ttl;
+      const uri = buildChallengeUri({ nonce, callback, expiry, resource });
+
+      await pendingAuths.set(nonce, {
+        timestamp: Date.now(),
+        verified: false,
+        expiry,
+        clientId: client._id,
+        callback,
+        resource,
+        origins: [...new Set([new URL(callback).origin, new URL(resource).origin])],
+        expiresAt: new Date(expiry * 1000)
+      });
+      await audit.record('created', {
+        nonce,
+        clientId: client._id,
+        expiresAt: new Date(expiry * 1000),
+        ...requestMetadata(req)
+      });
+
+      console.log(`✅ Generated auth URI for client ${client._id} with nonce: ${nonce}`);
+
+      res.status(201).json({
+        nonce,
+        uri,
+        qr: await QRCode.toDataURL(uri),
+        callback,
+        resource,
+        expiry
+      });
+    } catch (error) {
+      console.error('❌ Error generating client challenge:', error);
+      res.status(500).json({ error: 'Failed to create challenge' });
+    }
+  });
+
+  // Status of one of the client's challenges. The owning client always sees
+  // the verified identity.
+  router.get('/api/v1/challenges/:nonce', requireApiClient, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    try {
+      const auth = await pendingAuths.get(req.params.nonce);
+      if (!auth || auth.clientId !== req.apiClient._id) {
+        return res.status(404).json({ error: 'Challenge not found or expired' });
+      }
+
+      if (auth.verified) {
+        return res.json({
+          status: 'verified',
+          nym: auth.nym,
+          paymentCode: auth.paymentCode,
+          challenge: auth.challenge,
+          signature: auth.signature
+        });
+      }
+
+      res.json({
+        status: 'pending',
+        expiry: auth.expiry,
+        ...(auth.rejection ? { rejection: auth.rejection } : {})
+      });
+    } catch (error) {
+      console.error('❌ Client challenge status error:', error);
+      res.status(500).json({ error: 'Failed to read challenge' });
+    }
+  });
+
+  // Verify a wallet proof the client received at its own callback URL.
+  // Responds like POST /verify.
+  router.post('/api/v1/proofs', requireApiClient, async (req, res) => {
+    try {
+      let nonce = null;
+      try {
+        ({ nonce } = parseChallenge(req.body && req.body.challenge));
+      } catch (e) {
+        // Left to the pipeline to report
+      }
+
+      // Clients can only verify their own challenges
+      const auth = nonce && await pendingAuths.get(nonce);
+      if (auth && auth.clientId !== req.apiClient._id) {
+        return res.status(400).json({
+          result: 'error',
+          code: 'NONCE_UNKNOWN',
+          error: 'Invalid or expired nonce',
+          nonce
+        });
+      }
+
+      const outcome = await pipeline.verify(req.body, requestMetadata(req));
+      if (outcome.result !== 'ok') {
+        console.error(`❌ Client proof rejected [${outcome.code}]: ${outcome.detail || outcome.error}`);
+        return res.status(400).json(outcome);
+      }
+
+      console.log(`🎉 Client ${req.apiClient._id} authenticated ${outcome.auth.nym}`);
+      res.json({
+        result: 'ok',
+        nonce: outcome.nonce,
+        nym: outcome.auth.nym,
+        payment_code: outcome.auth.paymentCode
+      });
+    } catch (error) {
+      console.error('💥 Client proof error:', error);
+      res.status(500).json({ result: 'error', error: 'Verification failed' });
+    }
+  });
+
+  // Webhook delivery log, most recent first
+  router.get('/api/v1/webhooks/deliveries', requireApiClient, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      res.json({ deliveries: await webhooks.list(req.apiClient._id, limit) });
+    } catch (error) {
+      console.error('❌ Webhook log error:', error);
+      res.status(500).json({ error: 'Failed to read deliveries' });
+    }
+  });
+
+  return router;
+}
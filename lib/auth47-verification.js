@@ -0,0 +1,196 @@
+// lib/auth47-verification.js - Verification pipeline shared by /verify and POST /callback
+//
+// Runs a wallet's Auth47 proof through every check in order and returns either
+//   { result: 'ok', nonce, auth }
+//   { result: 'error', code, error, detail?, nonce? }
+// where `code` is one of AUTH_ERRORS. A rejected proof doesn't close its
+// challenge: the nonce is in the QR code, so anyone who sees it could send a
+// bad proof, and wallets must be able to try again. The latest rejection is
+// recorded on the challenge (rejection: { code, error }) so the browser
+// waiting on that nonce can show the user why the wallet's proof was refused.
+
+export const AUTH_ERRORS = {
+  MISSING_FIELDS: 'Missing required fields: challenge, nym, signature',
+  BAD_CHALLENGE: 'Invalid challenge format',
+  MISSING_EXPIRY: 'Missing expiry parameter in challenge',
+  NONCE_UNKNOWN: 'Invalid or expired nonce',
+  RESOURCE_MISMATCH: 'Challenge resource does not match this site',
+  EXPIRED: 'Challenge has expired',
+  EXPIRY_MISMATCH: 'Expiry mismatch in challenge',
+  REPLAY: 'Nonce already used',
+  BAD_SIGNATURE: 'Invalid signature'
+};
+
+// Nonces are 16 random bytes, hex-encoded. Checked before a client-supplied
+// nonce is used as a store key, so that e.g. a JSON object can't act as a
+// MongoDB query.
+export const isNonce = (value) => typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+
+// `kind` of the challenges the widget starts for the page embedding it. Their
+// proofs answer a challenge for that page, so they must never log anyone in
+// on this site.
+export const WIDGET_CHALLENGE = 'widget';
+
+// Build an auth47:// challenge URI. The URLs are deliberately not
+// url-encoded: wallets expect them verbatim.
+export function buildChallengeUri({ nonce, callback, expiry, resource }) {
+  return `auth47://${nonce}?c=${callback}&e=${expiry}&r=${resource}`;
+}
+
+// Parse an auth47:// challenge into its nonce and parameters
+export function parseChallenge(challenge) {
+  const challengeUrl = new URL(challenge);
+  return {
+    nonce: challengeUrl.hostname || challengeUrl.pathname.replace(/^\/\//, ''),
+    expiry: challengeUrl.searchParams.get('e'),
+    callback: challengeUrl.searchParams.get('c'),
+    resource: challengeUrl.searchParams.get('r')
+  };
+}
+
+// Every URL the challenge names (c= and r=) must be on one of `origins`
+const targetsOrigins = (parsed, origins) =>
+  [parsed.callback, parsed.resource].every((value) => {
+    if (value === null) return true;
+    try {
+      return origins.includes(new URL(value).origin);
+    } catch (e) {
+      return false;
+    }
+  });
+
+// store:       pending auth store (lib/store.js), keyed by nonce
+// verifierFor: auth => Auth47Verifier used for that challenge's signature check
+// origin:      origin the challenge's c=/r= must point at, unless the
+//              challenge record lists its own `origins` (API client and
+//              widget challenges)
+// ttl:         seconds a verified challenge stays available to the browser
+// events:      auth events hub (lib/auth-events.js) told about every settlement
+//              and rejection
+// audit:       audit log (lib/audit-log.js) that records every outcome
+export function createAuth47Pipeline({ store, verifierFor, origin, ttl, events, audit }) {
+  const fail = (code, extra = {}) => ({
+    result: 'error',
+    code,
+    error: AUTH_ERRORS[code],
+    ...extra
+  });
+
+  // Record the rejection against a still-pending challenge, which stays open,
+  // and notify streams
+  const failPending = async (nonce, code, extra = {}) => {
+    const failure = fail(code, { ...extra, nonce });
+    const rejectedAuth = await store.update(
+      nonce,
+      { rejection: { code, error: failure.detail || failure.error } },
+      { verified: false }
+    );
+    if (rejectedAuth) {
+      events.publish(nonce, rejectedAuth);
+    }
+    return failure;
+  };
+
+  // Every check in order; see the top of this file for the result shape
+  const check = async (proof) => {
+    const { challenge, nym, signature } = proof || {};
+
+    if (!challenge || !nym || !signature) {
+      return fail('MISSING_FIELDS');
+    }
+
+    let parsed;
+    try {
+      parsed = parseChallenge(challenge);
+    } catch (e) {
+      return fail('BAD_CHALLENGE');
+    }
+    const { nonce } = parsed;
+    if (!isNonce(nonce)) {
+      return fail('BAD_CHALLENGE');
+    }
+
+    if (!parsed.expiry) {
+      return fail('MISSING_EXPIRY', { nonce });
+    }
+
+    const auth = await store.get(nonce);
+    if (!auth) {
+      return fail('NONCE_UNKNOWN', { nonce });
+    }
+
+    if (auth.verified) {
+      return fail('REPLAY', { nonce });
+    }
+
+    if (!targetsOrigins(parsed, auth.origins || [origin])) {
+      return failPending(nonce, 'RESOURCE_MISMATCH');
+    }
+
+    const expiryTime = parseInt(parsed.expiry, 10);
+    if (expiryTime <= Math.floor(Date.now() / 1000)) {
+      return failPending(nonce, 'EXPIRED');
+    }
+
+    if (auth.expiry !== expiryTime) {
+      return failPending(nonce, 'EXPIRY_MISMATCH');
+    }
+
+    // Verify signature using Auth47 library (Bitcoin Message Signing protocol)
+    let verifiedProof;
+    try {
+      verifiedProof = verifierFor(auth).verifyProof(proof, 'bitcoin');
+    } catch (error) {
+      verifiedProof = { result: 'error', error: error.message };
+    }
+
+    if (verifiedProof.result !== 'ok') {
+      return failPending(nonce, 'BAD_SIGNATURE', { detail: verifiedProof.error });
+    }
+
+    // Mark as verified (only if nobody beat us to it). The record is kept for
+    // another TTL window so the browser has time to use it (e.g. guestbook).
+    const verifiedAuth = await store.update(nonce, {
+      verified: true,
+      nym,
+      paymentCode: nym,
+      challenge,
+      signature,
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    }, { verified: false });
+
+    if (!verifiedAuth) {
+      return fail('REPLAY', { nonce });
+    }
+
+    events.publish(nonce, verifiedAuth);
+    return { result: 'ok', nonce, auth: verifiedAuth };
+  };
+
+  return {
+    // `meta` is the submitting request's metadata (ip, userAgent) for the
+    // audit log
+    async verify(proof, meta = {}) {
+      const outcome = await check(proof);
+
+      if (outcome.result === 'ok') {
+        await audit.record('verified', {
+          nonce: outcome.nonce,
+          paymentCode: outcome.auth.paymentCode,
+          clientId: outcome.auth.clientId || null,
+          ...meta
+        });
+      } else {
+        await audit.record('failed', {
+          nonce: outcome.nonce || null,
+          code: outcome.code,
+          reason: outcome.detail || outcome.error,
+          // Whatever the wallet claimed; not verified
+          claimedPaymentCode: proof && typeof proof.nym === 'string' ? proof.nym : null,
+          ...meta
+        });
+      }
+      return outcome;
+    }
+  };
+}
@@ -0,0 +1,187 @@
+// lib/batch-validation.js - Validate lists of payment codes in one go
+//
+// Support gets payment codes pasted from emails, spreadsheets and API dumps,
+// so the input is read as
+//   text  one or more codes per line (separated by spaces, commas or ;)
+//   csv   the column headed paymentCode / payment_code / code, else the first
+//         non-empty cell of each row
+//   json  an array of codes or of objects with a paymentCode field, or
+//         { "codes": [...] }
+// and `auto` picks one by looking at the input. Rows keep the line (or array
+// position) they came from so reports can point back at the source.
+
+import { decodePaymentCode } from './payment-code.js';
+
+export const FORMATS = ['auto', 'text', 'csv', 'json'];
+export const MAX_BATCH_CODES = 5000;
+
+const CODE_FIELDS = ['paymentcode', 'payment_code', 'payment code', 'code', 'paynym'];
+const CHECK_KEYS = ['format', 'length', 'base58', 'checksum', 'version'];
+
+function detectFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  if (/[,;\t]/.test(trimmed) && /\n/.test(trimmed)) return 'csv';
+  return 'text';
+}
+
+// Split one CSV line, honoring double-quoted cells
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map((value) => value.trim());
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const first = lines.find((line) => line.trim()) || '';
+  // Whichever delimiter the first row uses most
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    first.split(candidate).length > first.split(best).length ? candidate : best, ',');
+
+  const entries = [];
+  let column = null;
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const cells = splitCsvLine(line, delimiter);
+    if (column === null && entries.length === 0) {
+      const header = cells.findIndex((cell) => CODE_FIELDS.includes(cell.toLowerCase()));
+      if (header !== -1) {
+        column = header;
+        return;
+      }
+    }
+    const value = column !== null ? cells[column] : cells.find(Boolean);
+    entries.push({ row: index + 1, paymentCode: value || '' });
+  });
+  return entries;
+}
+
+function parseText(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    for (const token of line.split(/[\s,;]+/)) {
+      if (token) {
+        entries.push({ row: index + 1, paymentCode: token });
+      }
+    }
+  });
+  return entries;
+}
+
+function parseJson(value) {
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+  if (data && !Array.isArray(data) && Array.isArray(data.codes)) {
+    data = data.codes;
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('JSON input must be an array of payment codes or { "codes": [...] }');
+  }
+  return data.map((item, index) => {
+    let code = item;
+    if (item && typeof item === 'object') {
+      const key = Object.keys(item).find((name) => CODE_FIELDS.includes(name.toLowerCase()));
+      code = key ? item[key] : '';
+    }
+    return { row: index + 1, paymentCode: typeof code === 'string' ? code.trim() : String(code ?? '') };
+  });
+}
+
+// Turn raw input into [{ row, paymentCode }]. Throws with a readable message
+// on unparseable input.
+export function parseCodeList(input, format = 'auto') {
+  if (Array.isArray(input) || (input && typeof input === 'object')) {
+    return parseJson(input);
+  }
+  const text = String(input || '');
+  const chosen = format === 'auto' ? detectFormat(text) : format;
+  if (chosen === 'json') return parseJson(text);
+  if (chosen === 'csv') return parseCsv(text);
+  return parseText(text);
+}
+
+// Per-row verdicts with the /api/bip47/validate `checks` object, duplicates
+// pointing at the row the code first appeared on
+export function validateBatch(entries, { ecc }) {
+  const firstSeen = new Map();
+  const rows = entries.map(({ row, paymentCode }) => {
+    const decoded = decodePaymentCode(paymentCode, { ecc, notification: false });
+    const duplicateOf = firstSeen.has(paymentCode) ? firstSeen.get(paymentCode) : null;
+    if (duplicateOf === null) {
+      firstSeen.set(paymentCode, row);
+    }
+    return {
+      row,
+      paymentCode,
+      valid: decoded.valid,
+      version: decoded.version ?? null,
+      checks: decoded.checks,
+      errors: decoded.errors,
+      duplicateOf
+    };
+  });
+
+  return {
+    summary: {
+      total: rows.length,
+      valid: rows.filter((row) => row.valid).length,
+      invalid: rows.filter((row) => !row.valid).length,
+      duplicates: rows.filter((row) => row.duplicateOf !== null).length,
+      unique: firstSeen.size
+    },
+    rows
+  };
+}
+
+// Quote cells for CSV, and defuse ones a spreadsheet would run as formulas
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function batchToCsv({ rows }) {
+  // `codeVersion` so it doesn't clash with the `version` check
+  const header = ['row', 'paymentCode', 'valid', 'codeVersion', 'duplicateOf', ...CHECK_KEYS, 'errors'];
+  const lines = rows.map((row) => [
+    row.row,
+    row.paymentCode,
+    row.valid,
+    row.version,
+    row.duplicateOf,
+    ...CHECK_KEYS.map((key) => row.checks[key]),
+    row.errors.join('; ')
+  ].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,527 @@
+// lib/bip47-lab.js - Real BIP47 derivations behind the Lab page
+//
+// The Lab's "Alice Pays Bob" scenario needs private keys to show the ECDH
+// shared secrets, so it runs on demo wallets built from the BIP47 test vector
+// mnemonics. Those seeds are public: never send funds to their addresses.
+//
+//   GET  /api/bip47/demo    the demo wallets (mnemonics, payment codes and
+//                           notification addresses)
+//   POST /api/bip47/derive  shared secrets and payment addresses between a
+//                           sender and a receiver, at least one of which must
+//                           be a demo wallet
+//   GET  /api/bip47/wordlist
+//                           the BIP39 English wordlist, for the Lab's
+//                           in-browser payment code generator
+//   POST /api/bip47/decode  every field of a payment code (lib/payment-code.js)
+//   POST /api/bip47/validate/batch
+//                           validation report for a pasted list of codes
+//                           (lib/batch-validation.js), as JSON or CSV
+//   GET  /api/bip47/notification-address
+//                           a payment code's notification address
+//   POST /api/bip47/notification/payload
+//                           blinded payload and unsigned notification
+//                           transaction from a designated input
+//   POST /api/bip47/notification/decode
+//                           sender's payment code from a raw notification
+//                           transaction and the recipient's notification key
+//   POST /api/bip47/verify-message
+//                           check a legacy or BIP322 signed message against a
+//                           payment code's notification key
+//                           (lib/message-signing.js)
+//
+// Endpoints taking private keys only accept them for the demo wallets or on
+// testnet, so nobody is invited to paste a real mainnet key.
+
+import express from 'express';
+import crypto from 'crypto';
+import bip39 from 'bip39';
+import {
+  parseOutpoint,
+  parseTransaction,
+  serializeUnsignedTransaction,
+  exposedPublicKey,
+  nullDataScript,
+  p2pkhScript,
+  OP_RETURN,
+  OP_PUSHDATA1
+} from './bitcoin-tx.js';
+import { decodePaymentCode } from './payment-code.js';
+import {
+  FORMATS,
+  MAX_BATCH_CODES,
+  parseCodeList,
+  validateBatch,
+  batchToCsv
+} from './batch-validation.js';
+import { MESSAGE_FORMATS, verifyMessage } from './message-signing.js';
+import {
+  networks,
+  getP2pkhAddress,
+  getP2shAddress,
+  getP2wpkhAddress
+} from '@samouraiwallet/bip47/utils';
+
+// Alice and Bob from the BIP47 test vectors
+export const DEMO_MNEMONICS = {
+  alice: 'response seminar brave tip suit recall often sound stick owner lottery motion',
+  bob: 'reward upper indicate eight swift arch injury crystal super wrestle already dentist'
+};
+
+const NETWORKS = ['bitcoin', 'testnet'];
+// Value of the output paying the recipient's notification address
+const NOTIFICATION_DUST = 546;
+// Blinded payment code: version, features, then 78 bytes
+const PAYLOAD_LENGTH = 80;
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+// Enough for MAX_BATCH_CODES codes with some CSV columns around them
+const BATCH_BODY_LIMIT = '2mb';
+// Statements, not documents
+const MAX_MESSAGE_LENGTH = 10000;
+// Payment code children are non-hardened BIP32 indices
+const MAX_INDEX = 0x7fffffff;
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest();
+
+// All three address forms of a payment public key
+const addressesFor = (publicKey, network) => ({
+  p2pkh: getP2pkhAddress(publicKey, network),
+  p2shP2wpkh: getP2shAddress(publicKey, network),
+  p2wpkh: getP2wpkhAddress(publicKey, network)
+});
+
+// Errors answered with 400 and their message
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseNetwork = (value) => {
+  const name = value || 'bitcoin';
+  if (!NETWORKS.includes(name)) {
+    throw badRequest(`network must be one of: ${NETWORKS.join(', ')}`);
+  }
+  return name;
+};
+
+const parsePrivateKey = (value, ecc, label) => {
+  const text = String(value || '').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, 'hex') : null;
+  if (!key || !ecc.isPrivate(key)) {
+    throw badRequest(`${label} must be a 32-byte hex private key`);
+  }
+  return key;
+};
+
+const parseIndex = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+// bip47: BIP47Factory(ecc) instance
+// ecc:   secp256k1 implementation the factory was built with
+export function createBip47Lab({ bip47, ecc }) {
+  const router = express.Router();
+
+  // Keys come from the mainnet derivation path (m/47'/0'/0') the test vectors
+  // use; `network` only changes how addresses are encoded
+  let demoWallets = null;
+
+  const getDemoWallets = () => {
+    if (!demoWallets) {
+      demoWallets = Object.entries(DEMO_MNEMONICS).map(([name, mnemonic]) => {
+        const paymentCode = bip47.fromSeed(bip39.mnemonicToSeedSync(mnemonic));
+        return { name, mnemonic, paymentCode, base58: paymentCode.toBase58() };
+      });
+    }
+    return demoWallets;
+  };
+
+  // label: e.g. 'Sender payment code'
+  const parsePaymentCode = (value, label) => {
+    if (!value) {
+      throw badRequest(`${label} required`);
+    }
+    try {
+      return bip47.fromBase58(String(value).trim());
+    } catch (e) {
+      throw badRequest(`Invalid ${label.toLowerCase()}: ${e.message}`);
+    }
+  };
+
+  const demoWalletFor = (paymentCode) =>
+    getDemoWallets().find((wallet) => wallet.base58 === paymentCode.toBase58()) || null;
+
+  // Route handlers that answer errors carrying a status with it
+  const handle = (label, handler) => (req, res) => {
+    try {
+      handler(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`💥 ${label} error:`, error);
+      res.status(500).json({ error: `${label} failed: ${error.message}` });
+    }
+  };
+
+  const describe = (wallet, paymentCode, network) => ({
+    paymentCode: paymentCode.toBase58(),
+    notificationAddress: getP2pkhAddress(paymentCode.getNotificationPublicKey(), network),
+    demo: wallet ? wallet.name : null
+  });
+
+  // One side of the channel. `ownKey` is the private key of whoever derives
+  // (a for the sender, b_i for the receiver), `otherKey` the counterparty's
+  // public key (B_i or A). Both sides land on S = a*B_i = b_i*A and so on the
+  // same payment public key K = B_i + sha256(Sx)*G.
+  const deriveRange = (from, count, derive) => {
+    const entries = [];
+    for (let index = from; index < from + count && index <= MAX_INDEX; index++) {
+      try {
+        const { ownKey, otherKey, publicKey } = derive(index);
+        const S = ecc.pointMultiply(otherKey, ownKey);
+        const sharedSecret = S.subarray(1, 33);
+        entries.push({
+          index,
+          sharedSecret: toHex(sharedSecret),
+          tweak: toHex(sha256(sharedSecret)),
+          publicKey: toHex(publicKey)
+        });
+      } catch (error) {
+        // sha256(Sx) outside the curve order or K at infinity: BIP47 says to
+        // move on to the next index
+        entries.push({ index, skipped: error.message });
+      }
+    }
+    return entries;
+  };
+
+  router.get('/api/bip47/demo', handle('Demo wallet', (req, res) => {
+    const networkName = parseNetwork(req.query.network);
+
+    res.json({
+      network: networkName,
+      warning: 'Public test vector seeds - never send funds to these addresses',
+      wallets: getDemoWallets().map((wallet) => ({
+        name: wallet.name,
+        mnemonic: wallet.mnemonic,
+        ...describe(wallet, wallet.paymentCode, networks[networkName]),
+        notificationPrivateKey: Buffer.from(wallet.paymentCode.getNotificationPrivateKey()).toString('hex')
+      }))
+    });
+  }));
+
+  router.post('/api/bip47/derive', handle('Derivation', (req, res) => {
+    const networkName = parseNetwork(req.body.network);
+    const from = parseIndex(req.body.from, 0);
+    const count = parseIndex(req.body.count, DEFAULT_COUNT);
+
+    if (!(from >= 0 && from <= MAX_INDEX)) {
+      throw badRequest(`from must be an integer between 0 and ${MAX_INDEX}`);
+    }
+    if (!(count >= 1 && count <= MAX_COUNT)) {
+      throw badRequest(`count must be an integer between 1 and ${MAX_COUNT}`);
+    }
+
+    const network = networks[networkName];
+    const senderCode = parsePaymentCode(req.body.sender, 'Sender payment code');
+    const receiverCode = parsePaymentCode(req.body.receiver, 'Receiver payment code');
+
+    const senderWallet = demoWalletFor(senderCode);
+    const receiverWallet = demoWalletFor(receiverCode);
+    if (!senderWallet && !receiverWallet) {
+      throw badRequest('Deriving needs one side\'s private key: use a demo wallet as sender or receiver');
+    }
+
+    // Sender: a = own notification key, B_i = receiver's i-th child
+    let sending = null;
+    if (senderWallet) {
+      const a = senderWallet.paymentCode.getNotificationPrivateKey();
+      sending = deriveRange(from, count, (index) => ({
+        ownKey: a,
+        otherKey: receiverCode.derive(index).publicKey,
+        publicKey: receiverCode.derivePaymentPublicKey(senderWallet.paymentCode, index)
+      }));
+    }
+
+    // Receiver: b_i = own i-th child key, A = sender's notification key
+    let receiving = null;
+    if (receiverWallet) {
+      const A = senderCode.getNotificationPublicKey();
+      receiving = deriveRange(from, count, (index) => ({
+        ownKey: receiverWallet.paymentCode.derive(index).privateKey,
+        otherKey: A,
+        publicKey: receiverWallet.paymentCode.derivePaymentPublicKey(senderCode, index)
+      }));
+    }
+
+    for (const entries of [sending, receiving]) {
+      for (const entry of entries || []) {
+        if (!entry.skipped) {
+          entry.addresses = addressesFor(Buffer.from(entry.publicKey, 'hex'), network);
+        }
+      }
+    }
+
+    res.json({
+      network: networkName,
+      from,
+      count,
+      sender: describe(senderWallet, senderCode, network),
+      receiver: describe(receiverWallet, receiverCode, network),
+      sending,
+      receiving,
+      // With both keys available, the two sides must agree
+      match: sending && receiving
+        ? sending.every((entry, i) => entry.publicKey === receiving[i].publicKey)
+        : null
+    });
+  }));
+
+  // Static, so browsers may keep it for a day
+  router.get('/api/bip47/wordlist', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json(bip39.wordlists.english);
+  });
+
+  // Always 200 for a submitted string: invalid codes are explained, not
+  // rejected
+  router.post('/api/bip47/decode', handle('Decode', (req, res) => {
+    const { paymentCode } = req.body;
+    if (!paymentCode || typeof paymentCode !== 'string') {
+      throw badRequest('Payment code required');
+    }
+    res.json(decodePaymentCode(paymentCode, { ecc }));
+  }));
+
+  // Lists arrive as text/plain or text/csv (any size up to BATCH_BODY_LIMIT),
+  // or as JSON within the app-wide JSON body limit. ?format= says how to read
+  // text bodies and ?output=csv returns the report as a CSV download.
+  router.post(
+    '/api/bip47/validate/batch',
+    express.text({ type: 'text/*', limit: BATCH_BODY_LIMIT }),
+    handle('Batch validation', (req, res) => {
+      const format = req.query.format || 'auto';
+      const output = req.query.output || 'json';
+      if (!FORMATS.includes(format)) {
+        throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+      }
+      if (!['json', 'csv'].includes(output)) {
+        throw badRequest('output must be json or csv');
+      }
+
+      let entries;
+      try {
+        entries = parseCodeList(req.body, typeof req.body === 'string' ? format : 'json');
+      } catch (error) {
+        throw badRequest(error.message);
+      }
+      if (!entries.length) {
+        throw badRequest('No payment codes found in the input');
+      }
+      if (entries.length > MAX_BATCH_CODES) {
+        throw badRequest(`At most ${MAX_BATCH_CODES} payment codes per batch, got ${entries.length}`);
+      }
+
+      const report = validateBatch(entries, { ecc });
+      console.log(`🔍 Batch validated ${report.summary.total} payment codes (${report.summary.invalid} invalid)`);
+
+      if (output === 'csv') {
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`payment-code-report-${date}.csv`);
+        return res.type('text/csv').send(batchToCsv(report));
+      }
+      res.json(report);
+    })
+  );
+
+  router.get('/api/bip47/notification-address', handle('Notification address', (req, res) => {
+    const networkName = parseNetwork(req.query.network);
+    const paymentCode = parsePaymentCode(req.query.paymentCode, 'Payment code');
+
+    res.json({
+      network: networkName,
+      ...describe(demoWalletFor(paymentCode), paymentCode, networks[networkName]),
+      notificationPublicKey: toHex(paymentCode.getNotificationPublicKey())
+    });
+  }));
+
+  // Alice blinds her payment code for Bob (BIP47 "Notification Transaction"):
+  // S = a0*B where a0 is the designated input's key and B Bob's notification
+  // key, s = HMAC-SHA512(outpoint, Sx), and s masks her pubkey x coordinate
+  // and chain code
+  router.post('/api/bip47/notification/payload', handle('Notification payload', (req, res) => {
+    const networkName = parseNetwork(req.body.network);
+    const network = networks[networkName];
+    const senderCode = parsePaymentCode(req.body.sender, 'Sender payment code');
+    const receiverCode = parsePaymentCode(req.body.receiver, 'Receiver payment code');
+
+    const senderWallet = demoWalletFor(senderCode);
+    if (!senderWallet && networkName !== 'testnet') {
+      throw badRequest('Notification payloads are only built for demo wallets or on testnet');
+    }
+
+    let outpoint;
+    try {
+      outpoint = parseOutpoint(req.body.outpoint);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+    const privateKey = parsePrivateKey(req.body.privateKey, ecc, 'privateKey');
+
+    const payload = Buffer.from(
+      senderCode.getBlindedPaymentCode(receiverCode, outpoint.serialized, privateKey),
+      'hex'
+    );
+    const script = nullDataScript(payload);
+    const notificationPublicKey = receiverCode.getNotificationPublicKey();
+    const outputs = [
+      {
+        value: NOTIFICATION_DUST,
+        address: getP2pkhAddress(notificationPublicKey, network),
+        script: p2pkhScript(notificationPublicKey)
+      },
+      { value: 0, script }
+    ];
+
+    res.json({
+      network: networkName,
+      sender: describe(senderWallet, senderCode, network),
+      receiver: describe(demoWalletFor(receiverCode), receiverCode, network),
+      designatedInput: {
+        txid: outpoint.txid,
+        vout: outpoint.vout,
+        outpoint: outpoint.serialized.toString('hex'),
+        publicKey: toHex(ecc.pointFromScalar(privateKey))
+      },
+      payload: payload.toString('hex'),
+      script: script.toString('hex'),
+      outputs: outputs.map((output) => ({ ...output, script: output.script.toString('hex') })),
+      // The wallet still adds change and signs the designated input first
+      unsignedTx: serializeUnsignedTransaction({
+        inputs: [{ txid: outpoint.txid, vout: outpoint.vout }],
+        outputs
+      }).toString('hex')
+    });
+  }));
+
+  // Bob reverses it with S = b0*A, A being the designated input's pubkey
+  router.post('/api/bip47/notification/decode', handle('Notification decode', (req, res) => {
+    const networkName = parseNetwork(req.body.network);
+    const network = networks[networkName];
+    const notificationKey = parsePrivateKey(req.body.notificationKey, ecc, 'notificationKey');
+
+    const keyHex = notificationKey.toString('hex');
+    const isDemoKey = getDemoWallets().some((wallet) =>
+      Buffer.from(wallet.paymentCode.getNotificationPrivateKey()).toString('hex') === keyHex);
+    if (!isDemoKey && networkName !== 'testnet') {
+      throw badRequest('Notification transactions are only decoded with demo wallet keys or on testnet');
+    }
+
+    let tx;
+    try {
+      tx = parseTransaction(req.body.tx);
+    } catch (error) {
+      throw badRequest(`Invalid transaction: ${error.message}`);
+    }
+
+    const payloadIndex = tx.outputs.findIndex((output) =>
+      output.script.length === PAYLOAD_LENGTH + 3 &&
+      output.script[0] === OP_RETURN &&
+      output.script[1] === OP_PUSHDATA1 &&
+      output.script[2] === PAYLOAD_LENGTH);
+    if (payloadIndex === -1) {
+      throw badRequest('No OP_RETURN output with an 80-byte payload');
+    }
+
+    const inputIndex = tx.inputs.findIndex((input) => exposedPublicKey(input, ecc.isPoint));
+    if (inputIndex === -1) {
+      throw badRequest('No input exposes a public key');
+    }
+    const input = tx.inputs[inputIndex];
+    const designatedPublicKey = exposedPublicKey(input, ecc.isPoint);
+
+    const S = ecc.pointMultiply(designatedPublicKey, notificationKey);
+    if (!S) {
+      throw badRequest('Unable to compute the shared secret');
+    }
+    const mask = crypto.createHmac('sha512', input.outpoint).update(S.subarray(1, 33)).digest();
+    const payload = tx.outputs[payloadIndex].script.subarray(3);
+    const unblinded = Buffer.from(payload);
+    for (let i = 0; i < 64; i++) {
+      unblinded[3 + i] = payload[3 + i] ^ mask[i];
+    }
+
+    let senderCode;
+    try {
+      senderCode = bip47.fromBuffer(unblinded);
+    } catch (error) {
+      throw badRequest(`Payload does not unblind to a payment code: ${error.message}`);
+    }
+
+    const notificationPublicKey = ecc.pointFromScalar(notificationKey);
+    const notificationScript = p2pkhScript(notificationPublicKey);
+    const notificationIndex = tx.outputs.findIndex((output) => output.script.equals(notificationScript));
+
+    res.json({
+      network: networkName,
+      sender: describe(demoWalletFor(senderCode), senderCode, network),
+      designatedInput: {
+        index: inputIndex,
+        txid: input.txid,
+        vout: input.vout,
+        publicKey: toHex(designatedPublicKey)
+      },
+      payload: payload.toString('hex'),
+      recipientNotificationAddress: getP2pkhAddress(notificationPublicKey, network),
+      // Where the transaction pays the recipient; a payload sent elsewhere
+      // still decodes but the recipient's wallet would never see it
+      notificationOutput: notificationIndex === -1 ? null : {
+        index: notificationIndex,
+        value: tx.outputs[notificationIndex].value
+      }
+    });
+  }));
+
+  // Proof of authorship for a statement: the payment code's owner signs it
+  // with the notification key, as Auth47 proofs are signed. A signature that
+  // doesn't match is a 200 with valid: false; only unreadable input is a 400.
+  router.post('/api/bip47/verify-message', handle('Message verification', (req, res) => {
+    const networkName = parseNetwork(req.body.network);
+    const network = networks[networkName];
+    const paymentCode = parsePaymentCode(req.body.paymentCode, 'Payment code');
+    const { message, signature } = req.body;
+    const format = req.body.format || 'auto';
+
+    if (typeof message !== 'string') {
+      throw badRequest('Message required');
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      throw badRequest(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (!signature || typeof signature !== 'string') {
+      throw badRequest('Signature required');
+    }
+    if (!MESSAGE_FORMATS.includes(format)) {
+      throw badRequest(`format must be one of: ${MESSAGE_FORMATS.join(', ')}`);
+    }
+
+    const publicKey = paymentCode.getNotificationPublicKey();
+    let result;
+    try {
+      result = verifyMessage({ message, signature, publicKey, network, ecc, format });
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+    console.log(`🔍 Message signature ${result.valid ? 'verified' : 'rejected'} for ${paymentCode.toBase58()} (${result.format})`);
+
+    res.json({
+      network: networkName,
+      ...describe(demoWalletFor(paymentCode), paymentCode, network),
+      notificationPublicKey: toHex(publicKey),
+      ...result
+    });
+  }));
+
+  return router;
+}
@@ -0,0 +1,300 @@
+// lib/bitcoin-tx.js - Just enough Bitcoin transaction handling for the Lab
+//
+// Parses raw transactions (legacy and segwit serialization), serializes the
+// simple unsigned ones the Lab builds, and finds the BIP47 designated input:
+// the first input whose scriptSig or witness exposes a public key. Also
+// computes segwit v0 signature hashes for BIP322 message verification.
+
+import crypto from 'crypto';
+
+export const OP_RETURN = 0x6a;
+export const OP_PUSHDATA1 = 0x4c;
+const OP_PUSHDATA2 = 0x4d;
+const OP_PUSHDATA4 = 0x4e;
+export const SIGHASH_ALL = 0x01;
+
+export const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest();
+export const hash256 = (bytes) => sha256(sha256(bytes));
+export const hash160 = (bytes) =>
+  crypto.createHash('ripemd160').update(sha256(bytes)).digest();
+
+const isHex = (value, bytes) =>
+  typeof value === 'string' && value.length === bytes * 2 && /^[0-9a-fA-F]+$/.test(value);
+
+// Transactions are a stream of little-endian fields and varint-prefixed lists
+function createReader(buf) {
+  let offset = 0;
+
+  const take = (length) => {
+    if (offset + length > buf.length) {
+      throw new Error('Transaction is truncated');
+    }
+    const slice = buf.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  const reader = {
+    get offset() {
+      return offset;
+    },
+    get done() {
+      return offset === buf.length;
+    },
+    peek: (ahead = 0) => buf[offset + ahead],
+    take,
+    uint8: () => take(1)[0],
+    uint32: () => take(4).readUInt32LE(0),
+    uint64: () => Number(take(8).readBigUInt64LE(0)),
+    varint() {
+      const first = reader.uint8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) return take(2).readUInt16LE(0);
+      if (first === 0xfe) return reader.uint32();
+      return reader.uint64();
+    },
+    varbytes: () => take(reader.varint())
+  };
+  return reader;
+}
+
+const varint = (n) => {
+  if (n < 0xfd) return Buffer.from([n]);
+  const buf = Buffer.alloc(n <= 0xffff ? 3 : 5);
+  buf[0] = n <= 0xffff ? 0xfd : 0xfe;
+  if (n <= 0xffff) buf.writeUInt16LE(n, 1);
+  else buf.writeUInt32LE(n, 1);
+  return buf;
+};
+
+const uint32 = (n) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n >>> 0, 0);
+  return buf;
+};
+
+const uint64 = (n) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(n), 0);
+  return buf;
+};
+
+// Outpoints are serialized as the txid's internal (reversed) byte order
+// followed by the output index: 36 bytes
+export function serializeOutpoint(txid, vout) {
+  return Buffer.concat([Buffer.from(txid, 'hex').reverse(), uint32(vout)]);
+}
+
+// "<txid>:<vout>" as explorers show it, or the 36-byte serialized form in hex
+export function parseOutpoint(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^([0-9a-fA-F]{64}):(\d+)$/);
+  if (match) {
+    const vout = Number(match[2]);
+    if (vout > 0xffffffff) {
+      throw new Error('Output index out of range');
+    }
+    return { txid: match[1].toLowerCase(), vout, serialized: serializeOutpoint(match[1], vout) };
+  }
+  if (isHex(text, 36)) {
+    const serialized = Buffer.from(text, 'hex');
+    return {
+      txid: Buffer.from(serialized.subarray(0, 32)).reverse().toString('hex'),
+      vout: serialized.readUInt32LE(32),
+      serialized
+    };
+  }
+  throw new Error('Outpoint must be "<txid>:<vout>" or 36 bytes of hex');
+}
+
+// Data pushes of a script; non-push opcodes end up as { opcode }
+export function decompileScript(script) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < script.length) {
+    const opcode = script[offset++];
+    let length = null;
+    if (opcode > 0 && opcode < OP_PUSHDATA1) {
+      length = opcode;
+    } else if (opcode === OP_PUSHDATA1) {
+      length = script[offset];
+      offset += 1;
+    } else if (opcode === OP_PUSHDATA2) {
+      length = script.readUInt16LE(offset);
+      offset += 2;
+    } else if (opcode === OP_PUSHDATA4) {
+      length = script.readUInt32LE(offset);
+      offset += 4;
+    }
+    if (length === null) {
+      chunks.push({ opcode });
+      continue;
+    }
+    if (offset + length > script.length) {
+      throw new Error('Script push runs past the end of the script');
+    }
+    chunks.push({ opcode, data: script.subarray(offset, offset + length) });
+    offset += length;
+  }
+  return chunks;
+}
+
+export function p2pkhScript(publicKey) {
+  return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), hash160(publicKey), Buffer.from([0x88, 0xac])]);
+}
+
+// OP_0 <hash160(pubkey)>
+export function p2wpkhScript(publicKey) {
+  return Buffer.concat([Buffer.from([0x00, 0x14]), hash160(publicKey)]);
+}
+
+// OP_HASH160 <hash160(p2wpkh script)> OP_EQUAL
+export function p2shP2wpkhScript(publicKey) {
+  return Buffer.concat([Buffer.from([0xa9, 0x14]), hash160(p2wpkhScript(publicKey)), Buffer.from([0x87])]);
+}
+
+// OP_RETURN OP_PUSHDATA1 <payload>, as BIP47 notification outputs use
+export function nullDataScript(payload) {
+  return Buffer.concat([Buffer.from([OP_RETURN, OP_PUSHDATA1, payload.length]), payload]);
+}
+
+export function parseTransaction(hex) {
+  const text = String(hex || '').trim();
+  if (!text || text.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(text)) {
+    throw new Error('Transaction must be hex');
+  }
+  const reader = createReader(Buffer.from(text, 'hex'));
+
+  const version = reader.uint32();
+  // Segwit serialization: marker 0x00 and flag 0x01 before the inputs
+  const segwit = reader.peek() === 0x00 && reader.peek(1) === 0x01;
+  if (segwit) {
+    reader.take(2);
+  }
+
+  const inputCount = reader.varint();
+  const inputs = [];
+  for (let i = 0; i < inputCount; i++) {
+    const outpoint = Buffer.from(reader.take(36));
+    inputs.push({
+      txid: Buffer.from(outpoint.subarray(0, 32)).reverse().toString('hex'),
+      vout: outpoint.readUInt32LE(32),
+      outpoint,
+      scriptSig: reader.varbytes(),
+      sequence: reader.uint32(),
+      witness: []
+    });
+  }
+
+  const outputCount = reader.varint();
+  const outputs = [];
+  for (let i = 0; i < outputCount; i++) {
+    outputs.push({ value: reader.uint64(), script: reader.varbytes() });
+  }
+
+  if (segwit) {
+    for (const input of inputs) {
+      const items = reader.varint();
+      for (let i = 0; i < items; i++) {
+        input.witness.push(reader.varbytes());
+      }
+    }
+  }
+
+  const locktime = reader.uint32();
+  if (!reader.done) {
+    throw new Error('Unexpected bytes after the transaction');
+  }
+  if (!inputs.length || !outputs.length) {
+    throw new Error('Transaction has no inputs or no outputs');
+  }
+  return { version, segwit, inputs, outputs, locktime };
+}
+
+const serializeOutputs = (outputs) => Buffer.concat(
+  outputs.flatMap((output) => [uint64(output.value), varint(output.script.length), output.script])
+);
+
+// Legacy serialization (no witnesses), the form txids are hashed from
+export function serializeTransaction({ version = 1, inputs, outputs, locktime = 0 }) {
+  return Buffer.concat([
+    uint32(version),
+    varint(inputs.length),
+    ...inputs.flatMap((input) => {
+      const scriptSig = input.scriptSig || Buffer.alloc(0);
+      return [
+        serializeOutpoint(input.txid, input.vout),
+        varint(scriptSig.length),
+        scriptSig,
+        uint32(input.sequence ?? 0xffffffff)
+      ];
+    }),
+    varint(outputs.length),
+    serializeOutputs(outputs),
+    uint32(locktime)
+  ]);
+}
+
+// Unsigned legacy serialization: inputs get empty scriptSigs
+export function serializeUnsignedTransaction(tx) {
+  return serializeTransaction({ ...tx, inputs: tx.inputs.map(({ txid, vout, sequence }) => ({ txid, vout, sequence })) });
+}
+
+export const transactionId = (tx) => Buffer.from(hash256(serializeTransaction(tx))).reverse().toString('hex');
+
+// BIP143 signature hash of input `index` spending a segwit v0 output worth
+// `value` sats. `scriptCode` is the script being satisfied (the P2PKH script
+// for P2WPKH). Only SIGHASH_ALL, the one message signing uses.
+export function segwitV0Sighash(tx, index, scriptCode, value, hashType = SIGHASH_ALL) {
+  if (hashType !== SIGHASH_ALL) {
+    throw new Error(`Unsupported sighash type 0x${hashType.toString(16).padStart(2, '0')}`);
+  }
+  const input = tx.inputs[index];
+  const hashPrevouts = hash256(Buffer.concat(tx.inputs.map(({ txid, vout }) => serializeOutpoint(txid, vout))));
+  const hashSequence = hash256(Buffer.concat(tx.inputs.map(({ sequence }) => uint32(sequence ?? 0xffffffff))));
+  return hash256(Buffer.concat([
+    uint32(tx.version ?? 1),
+    hashPrevouts,
+    hashSequence,
+    serializeOutpoint(input.txid, input.vout),
+    varint(scriptCode.length),
+    scriptCode,
+    uint64(value),
+    uint32(input.sequence ?? 0xffffffff),
+    hash256(serializeOutputs(tx.outputs)),
+    uint32(tx.locktime ?? 0),
+    uint32(hashType)
+  ]));
+}
+
+// A serialized witness stack: item count, then length-prefixed items
+export function parseWitnessStack(bytes) {
+  const reader = createReader(Buffer.from(bytes));
+  const items = [];
+  const count = reader.varint();
+  for (let i = 0; i < count; i++) {
+    items.push(reader.varbytes());
+  }
+  if (!reader.done) {
+    throw new Error('Unexpected bytes after the witness stack');
+  }
+  return items;
+}
+
+// Public key exposed by an input spending P2PKH (last scriptSig push) or
+// P2WPKH / P2SH-P2WPKH (second witness item), or null
+export function exposedPublicKey(input, isPoint) {
+  const candidates = [];
+  if (input.witness.length) {
+    candidates.push(input.witness[input.witness.length - 1]);
+  }
+  try {
+    const pushes = decompileScript(input.scriptSig).filter((chunk) => chunk.data);
+    if (pushes.length) {
+      candidates.push(pushes[pushes.length - 1].data);
+    }
+  } catch (e) {
+    // Not a push-only scriptSig
+  }
+  return candidates.find((data) => data.length === 33 && isPoint(data)) || null;
+}
@@ -0,0 +1,28 @@
+// lib/guestbook-events.js - In-process notifications for new guestbook entries
+//
+// /api/guestbook/submit publishes every entry it stores, and
+// /api/guestbook/events streams them to open guestbook pages.
+// Like lib/auth-events.js, entries only reach streams on the same instance;
+// a reconnecting stream catches up on what it missed from the database.
+
+import { EventEmitter } from 'events';
+
+const ENTRY = 'entry';
+
+export function createGuestbookEvents() {
+  const emitter = new EventEmitter();
+  // One listener per open page, so there is no sensible upper bound
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(entry) {
+      emitter.emit(ENTRY, entry);
+    },
+
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+      emitter.on(ENTRY, listener);
+      return () => emitter.off(ENTRY, listener);
+    }
+  };
+}
@@ -0,0 +1,93 @@
+// lib/guestbook-feeds.js - Guestbook entries as Atom and JSON Feed documents
+//
+// Both feeds take the same description:
+//   site         origin the guestbook is served from
+//   title        feed title
+//   description  one-line summary
+//   homeUrl      page the feed mirrors, e.g. /guestbook?nym=...
+//   feedUrl      the feed's own URL
+//   entries      guestbook entries, newest first
+// Entries link to their author's view of the guestbook. JSON Feed items also
+// carry the entry's signature under `_bip47`, so readers can check it.
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+// Characters XML 1.0 doesn't allow, even escaped
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => String(text)
+  .replace(XML_INVALID, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoDate = (date) => new Date(date).toISOString();
+
+const authorUrl = (site, entry) => `${site}/guestbook?nym=${encodeURIComponent(entry.paymentCode)}`;
+
+const entryUrl = (site, entry) => `${authorUrl(site, entry)}#message-${entry._id}`;
+
+const entryTitle = (entry) => `${entry.parentId ? 'Reply' : 'Message'} from ${entry.nymName}`;
+
+// The newest entry's time, or now for an empty feed
+const feedUpdated = (entries) => isoDate(entries.length ? entries[0].createdAt : Date.now());
+
+export function atomFeed({ site, title, description, homeUrl, feedUrl, entries }) {
+  const items = entries.map((entry) => `
+  <entry>
+    <id>${escapeXml(`${site}/guestbook#message-${entry._id}`)}</id>
+    <title>${escapeXml(entryTitle(entry))}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entryUrl(site, entry))}"/>
+    <author>
+      <name>${escapeXml(entry.nymName)}</name>
+      <uri>${escapeXml(authorUrl(site, entry))}</uri>
+    </author>
+    <published>${isoDate(entry.createdAt)}</published>
+    <updated>${isoDate(entry.createdAt)}</updated>
+    <content type="text">${escapeXml(entry.message)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="${ATOM_NS}">
+  <id>${escapeXml(homeUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>
+  <updated>${feedUpdated(entries)}</updated>
+  <generator>BIP47 Terminal</generator>${items}
+</feed>
+`;
+}
+
+export function jsonFeed({ site, title, description, homeUrl, feedUrl, entries }) {
+  return {
+    version: JSON_FEED_VERSION,
+    title,
+    description,
+    home_page_url: homeUrl,
+    feed_url: feedUrl,
+    items: entries.map((entry) => ({
+      id: `${site}/guestbook#message-${entry._id}`,
+      url: entryUrl(site, entry),
+      title: entryTitle(entry),
+      content_text: entry.message,
+      date_published: isoDate(entry.createdAt),
+      authors: [{
+        name: entry.nymName,
+        url: authorUrl(site, entry),
+        ...(entry.nymAvatar ? { avatar: `${site}${entry.nymAvatar}` } : {})
+      }],
+      _bip47: {
+        payment_code: entry.paymentCode,
+        signature: entry.signature || null,
+        signed_at: entry.signedAt ? isoDate(entry.signedAt) : null,
+        reply_to: entry.parentId ? String(entry.parentId) : null,
+        verify_url: `${site}/api/guestbook/messages/${entry._id}/verify`
+      }
+    }))
+  };
+}
@@ -0,0 +1,273 @@
+// lib/guestbook-moderation.js - Hiding, deleting and banning in the guestbook
+//
+// Moderators are the payment codes configured in GUESTBOOK_MODERATORS, acting
+// while signed in with Auth47. They can
+//   hide / restore  take a message out of the public guestbook and back
+//   delete          remove a message and its reactions for good (the log
+//                   keeps a copy of the message)
+// Hiding and deleting take every reply below the message with it, so no part
+// of the thread stays public; restoring brings back the replies that were
+// hidden with it. Each reply gets its own log entry, whose `cascadeOf` is the
+// sequence number of the moderator's action.
+//   ban / unban     stop a payment code from posting; while banned its
+//                   messages are hidden too
+//
+// Every action is appended to the moderation log. Log entries are never
+// updated or removed, and each carries the hash of the one before it, so an
+// entry changed in MongoDB, or dropped from anywhere but the end, breaks the
+// chain and shows up in verifyLog().
+
+import crypto from 'crypto';
+
+// Messages the public may see
+export const PUBLIC_MESSAGE_FILTER = { hidden: { $ne: true }, authorBanned: { $ne: true } };
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_REASON_LENGTH = 500;
+// Concurrent appends race for the next sequence number; the loser retries
+const APPEND_ATTEMPTS = 5;
+const DUPLICATE_KEY = 11000;
+
+const moderationError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Hash over everything an entry says, in a fixed order
+const entryHash = (entry) => crypto.createHash('sha256').update(JSON.stringify([
+  entry.seq,
+  entry.prevHash,
+  entry.action,
+  entry.moderator,
+  entry.messageId,
+  entry.paymentCode,
+  entry.reason,
+  entry.snapshot,
+  new Date(entry.createdAt).toISOString(),
+  // Only thread cascades have it, so older entries hash as they always did
+  ...(entry.cascadeOf ? [entry.cascadeOf] : [])
+])).digest('hex');
+
+// What the log keeps of a deleted message
+const snapshotOf = (message) => ({
+  nymName: message.nymName,
+  message: message.message,
+  signature: message.signature || null,
+  signedAt: message.signedAt || null,
+  createdAt: message.createdAt,
+  ...(message.parentId ? { parentId: String(message.parentId) } : {})
+});
+
+const parseReason = (reason) => {
+  if (reason === undefined || reason === null || reason === '') return null;
+  if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+    throw moderationError(`Reason must be text of at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason.trim() || null;
+};
+
+// messages:   guestbook messages collection
+// reactions:  guestbook reactions collection, cleared for deleted messages
+// bans:       banned payment codes collection
+// log:        moderation log collection
+// moderators: payment codes allowed to moderate
+export function createGuestbookModeration({ messages, reactions, bans, log, moderators = [] }) {
+  const allowed = new Set(moderators);
+
+  async function append({ action, moderator, messageId = null, paymentCode = null, reason = null, snapshot = null, cascadeOf = null }) {
+    for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt++) {
+      const [last] = await log.find({}).sort({ seq: -1 }).limit(1).toArray();
+      const entry = {
+        seq: last ? last.seq + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        action,
+        moderator,
+        messageId,
+        paymentCode,
+        reason,
+        snapshot,
+        createdAt: new Date(),
+        ...(cascadeOf ? { cascadeOf } : {})
+      };
+      entry.hash = entryHash(entry);
+      try {
+        await log.insertOne(entry);
+        console.log(`🛡️  Moderation #${entry.seq}: ${action} ${messageId || paymentCode} by ${moderator}`);
+        return entry;
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+    }
+    throw moderationError('Moderation log is busy, try again', 503);
+  }
+
+  async function findMessage(id) {
+    const message = id && await messages.findOne({ _id: id });
+    if (!message) {
+      throw moderationError('Message not found', 404);
+    }
+    return message;
+  }
+
+  // Every reply below `message`, however deep. A thread's replies all carry
+  // its first message's _id as threadId.
+  async function findReplies(message) {
+    const thread = await messages.find({ threadId: message.threadId || message._id }).toArray();
+    const replies = [];
+    let parents = new Set([String(message._id)]);
+    while (parents.size) {
+      const children = thread.filter((reply) => parents.has(String(reply.parentId)));
+      replies.push(...children);
+      parents = new Set(children.map((reply) => String(reply._id)));
+    }
+    return replies;
+  }
+
+  // Log `action` for each reply the moderator's `entry` takes with it, then
+  // apply it with `apply(reply)`
+  async function cascade(entry, replies, apply, snapshots = false) {
+    for (const reply of replies) {
+      await append({
+        action: entry.action,
+        moderator: entry.moderator,
+        messageId: String(reply._id),
+        paymentCode: reply.paymentCode,
+        reason: entry.reason,
+        snapshot: snapshots ? snapshotOf(reply) : null,
+        cascadeOf: entry.seq
+      });
+      await apply(reply);
+    }
+    return { ...entry, replies: replies.length };
+  }
+
+  return {
+    available: Boolean(messages && reactions && bans && log),
+
+    isModerator: (paymentCode) => Boolean(paymentCode) && allowed.has(paymentCode),
+
+    async init() {
+      if (!log) return;
+      await log.createIndex({ seq: 1 }, { unique: true });
+      await bans.createIndex({ paymentCode: 1 }, { unique: true });
+      await messages.createIndex({ paymentCode: 1 });
+    },
+
+    async isBanned(paymentCode) {
+      return Boolean(await bans.findOne({ paymentCode }));
+    },
+
+    // `id` is the message's _id
+    async hide(id, { moderator, reason }) {
+      const message = await findMessage(id);
+      if (message.hidden) {
+        throw moderationError('Message is already hidden', 409);
+      }
+      const entry = await append({
+        action: 'hide',
+        moderator,
+        messageId: String(message._id),
+        paymentCode: message.paymentCode,
+        reason: parseReason(reason)
+      });
+      await messages.updateOne({ _id: message._id }, { $set: { hidden: true, hiddenAt: entry.createdAt } });
+
+      // Replies hidden before keep their own hide (and restore)
+      const replies = (await findReplies(message)).filter((reply) => !reply.hidden);
+      return cascade(entry, replies, (reply) => messages.updateOne(
+        { _id: reply._id },
+        { $set: { hidden: true, hiddenAt: entry.createdAt, hiddenWith: message._id } }
+      ));
+    },
+
+    async restore(id, { moderator, reason }) {
+      const message = await findMessage(id);
+      if (!message.hidden) {
+        throw moderationError('Message is not hidden', 409);
+      }
+      if (message.hiddenWith) {
+        throw moderationError(`Hidden with its thread: restore message ${message.hiddenWith} instead`, 409);
+      }
+      const entry = await append({
+        action: 'restore',
+        moderator,
+        messageId: String(message._id),
+        paymentCode: message.paymentCode,
+        reason: parseReason(reason)
+      });
+      await messages.updateOne({ _id: message._id }, { $unset: { hidden: '', hiddenAt: '' } });
+
+      const replies = (await findReplies(message))
+        .filter((reply) => String(reply.hiddenWith) === String(message._id));
+      return cascade(entry, replies, (reply) => messages.updateOne(
+        { _id: reply._id },
+        { $unset: { hidden: '', hiddenAt: '', hiddenWith: '' } }
+      ));
+    },
+
+    async remove(id, { moderator, reason }) {
+      const message = await findMessage(id);
+      const replies = await findReplies(message);
+      const entry = await append({
+        action: 'delete',
+        moderator,
+        messageId: String(message._id),
+        paymentCode: message.paymentCode,
+        reason: parseReason(reason),
+        snapshot: snapshotOf(message)
+      });
+      await messages.deleteOne({ _id: message._id });
+      const removed = await cascade(entry, replies, (reply) => messages.deleteOne({ _id: reply._id }), true);
+      await reactions.deleteMany({ messageId: { $in: [message._id, ...replies.map((reply) => reply._id)] } });
+      return removed;
+    },
+
+    async ban(paymentCode, { moderator, reason }) {
+      if (allowed.has(paymentCode)) {
+        throw moderationError('Moderators cannot be banned');
+      }
+      if (await bans.findOne({ paymentCode })) {
+        throw moderationError('Payment code is already banned', 409);
+      }
+      const entry = await append({ action: 'ban', moderator, paymentCode, reason: parseReason(reason) });
+      await bans.insertOne({ paymentCode, bannedBy: moderator, reason: entry.reason, createdAt: entry.createdAt });
+      await messages.updateMany({ paymentCode }, { $set: { authorBanned: true } });
+      return entry;
+    },
+
+    async unban(paymentCode, { moderator, reason }) {
+      if (!await bans.findOne({ paymentCode })) {
+        throw moderationError('Payment code is not banned', 404);
+      }
+      const entry = await append({ action: 'unban', moderator, paymentCode, reason: parseReason(reason) });
+      await bans.deleteOne({ paymentCode });
+      await messages.updateMany({ paymentCode }, { $unset: { authorBanned: '' } });
+      return entry;
+    },
+
+    async listBans() {
+      return bans.find({}).sort({ createdAt: -1 }).toArray();
+    },
+
+    // Newest first; `before` (a sequence number) pages back
+    async history({ limit = 50, before } = {}) {
+      const query = before ? { seq: { $lt: before } } : {};
+      return log.find(query).sort({ seq: -1 }).limit(limit).toArray();
+    },
+
+    // Walks the whole chain: { intact, entries } or { intact: false,
+    // entries, brokenAt, problem }
+    async verifyLog() {
+      const entries = await log.find({}).sort({ seq: 1 }).toArray();
+      let prevHash = GENESIS_HASH;
+      for (const [index, entry] of entries.entries()) {
+        const problem = entry.seq !== index + 1 ? 'missing entry before this one'
+          : entry.prevHash !== prevHash ? 'does not follow the previous entry'
+          : entry.hash !== entryHash(entry) ? 'contents changed after it was written'
+          : null;
+        if (problem) {
+          return { intact: false, entries: entries.length, brokenAt: entry.seq, problem };
+        }
+        prevHash = entry.hash;
+      }
+      return { intact: true, entries: entries.length };
+    }
+  };
+}
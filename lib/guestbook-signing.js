@@ -0,0 +1,96 @@
+// lib/guestbook-signing.js - What a guestbook entry's signature covers
+//
+// The Auth47 login proves who posted, not what: its signature covers the
+// login challenge. Entries are therefore signed themselves, with the
+// notification key of the author's payment code, over this payload:
+//
+//   BIP47 Terminal guestbook
+//   site: https://example.com
+//   time: 2026-01-01T12:00:00Z
+//
+//   <message text>
+//
+// Replies add a `reply-to: <id of the parent entry>` line after the time, so
+// a reply can't be passed off as a top-level entry or moved to another
+// thread.
+//
+// The server hands out the payload (so the browser never has to rebuild it
+// byte for byte), the wallet signs it, and the entry stores the message,
+// site, time and signature. Anyone can rebuild the payload from those and
+// check the signature, here or with any other signed-message tool.
+
+import { networks } from '@samouraiwallet/bip47/utils';
+import { verifyMessage } from './message-signing.js';
+
+const PAYLOAD_HEADER = 'BIP47 Terminal guestbook';
+
+// How far a payload's time may lie from the moment it is submitted
+export const SIGNATURE_MAX_AGE_MS = 15 * 60 * 1000;
+const SIGNATURE_MAX_SKEW_MS = 2 * 60 * 1000;
+
+// Line endings and surrounding whitespace differ between browsers and
+// wallets, so they are not part of what is signed
+export const normalizeGuestbookMessage = (message) => String(message).replace(/\r\n?/g, '\n').trim();
+
+// ISO 8601 in UTC to the second, e.g. 2026-01-01T12:00:00Z. Throws on
+// anything that isn't a date.
+export function normalizeSignedAt(value) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw Object.assign(new Error('Invalid signing time'), { code: 'SIGNED_AT_INVALID' });
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+export function guestbookPayload({ site, signedAt, message, parentId }) {
+  return [
+    PAYLOAD_HEADER,
+    `site: ${site}`,
+    `time: ${normalizeSignedAt(signedAt)}`,
+    ...(parentId ? [`reply-to: ${parentId}`] : []),
+    '',
+    normalizeGuestbookMessage(message)
+  ].join('\n');
+}
+
+// Throws unless signedAt is recent enough to be submitted now
+export function checkSigningTime(signedAt, now = Date.now()) {
+  const time = new Date(normalizeSignedAt(signedAt)).getTime();
+  if (time > now + SIGNATURE_MAX_SKEW_MS) {
+    throw Object.assign(new Error('Signing time is in the future'), { code: 'SIGNED_AT_INVALID' });
+  }
+  if (time < now - SIGNATURE_MAX_AGE_MS) {
+    throw Object.assign(new Error('Signed payload has expired, prepare it again'), { code: 'PAYLOAD_EXPIRED' });
+  }
+}
+
+// Checks an entry's signature against its payment code's notification key.
+// Resolves to { valid, payload, format, address, addressType } or
+// { valid: false, payload, reason }. Entries from before messages were
+// signed have no signedAt and can't be checked.
+export function verifyGuestbookEntry(entry, { bip47, ecc }) {
+  if (!entry.signedAt || !entry.site || !entry.signature) {
+    return { valid: false, payload: null, reason: 'Posted before guestbook messages were signed' };
+  }
+
+  const payload = guestbookPayload(entry);
+  let paymentCode;
+  try {
+    paymentCode = bip47.fromBase58(entry.paymentCode);
+  } catch (error) {
+    return { valid: false, payload, reason: `Invalid payment code: ${error.message}` };
+  }
+
+  try {
+    const result = verifyMessage({
+      message: payload,
+      signature: entry.signature,
+      publicKey: paymentCode.getNotificationPublicKey(),
+      network: networks.bitcoin,
+      ecc
+    });
+    return { payload, ...result };
+  } catch (error) {
+    return { valid: false, payload, reason: error.message };
+  }
+}
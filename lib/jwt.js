@@ -0,0 +1,73 @@
+// lib/jwt.js - Minimal JSON Web Token signing and verification
+//
+// Supports HS256 (shared secret, used for login sessions) and ES256 (P-256
+// key pair, used for OpenID Connect tokens that third parties verify).
+
+import crypto from 'crypto';
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const decodeJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const algorithms = {
+  HS256: {
+    sign: (data, secret) => crypto.createHmac('sha256', secret).update(data).digest(),
+    verify(data, secret, signature) {
+      const expected = this.sign(data, secret);
+      return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+    }
+  },
+  // JWS wants the raw r||s signature, not DER
+  ES256: {
+    sign: (data, privateKey) =>
+      crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' }),
+    verify: (data, publicKey, signature) =>
+      crypto.verify('sha256', Buffer.from(data), { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature)
+  }
+};
+
+// Sign `claims` with `key` (an HMAC secret for HS256, a private KeyObject for
+// ES256). `iat` is added automatically and `expiresIn` (seconds) sets `exp`.
+export function signJwt(claims, key, { expiresIn, algorithm = 'HS256', keyId } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+  if (expiresIn) {
+    payload.exp = now + expiresIn;
+  }
+
+  const header = { alg: algorithm, typ: 'JWT' };
+  if (keyId) {
+    header.kid = keyId;
+  }
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  return `${signingInput}.${base64url(algorithms[algorithm].sign(signingInput, key))}`;
+}
+
+// Returns the token's claims, or null if it is malformed, not signed with
+// `algorithm` by `key` (secret or public KeyObject) or expired
+export function verifyJwt(token, key, { algorithm = 'HS256' } = {}) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  try {
+    const header = decodeJson(encodedHeader);
+    if (header.alg !== algorithm) return null;
+
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!algorithms[algorithm].verify(`${encodedHeader}.${encodedPayload}`, key, signature)) {
+      return null;
+    }
+
+    const claims = decodeJson(encodedPayload);
+    if (claims.exp && claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,162 @@
+// lib/message-signing.js - Verify Bitcoin signed messages against a public key
+//
+// Two signature formats are in use, both exchanged as base64:
+//   legacy  the 65-byte recoverable signature of Bitcoin Core's signmessage
+//           (with BIP137 header flags for segwit addresses), as Auth47
+//           proofs use
+//   bip322  BIP322 "simple": the witness of a virtual transaction spending an
+//           output locked to the address. P2WPKH and P2SH-P2WPKH are
+//           supported; Taproot needs a key a payment code doesn't have.
+//
+// Signatures are checked against the three address forms of one public key,
+// and the result says which of them it was made for.
+
+import bitcoinMessage from 'bitcoinjs-message';
+import { getP2pkhAddress, getP2shAddress, getP2wpkhAddress } from '@samouraiwallet/bip47/utils';
+import {
+  sha256,
+  p2pkhScript,
+  p2wpkhScript,
+  p2shP2wpkhScript,
+  transactionId,
+  segwitV0Sighash,
+  parseWitnessStack,
+  OP_RETURN
+} from './bitcoin-tx.js';
+
+export const MESSAGE_FORMATS = ['auto', 'legacy', 'bip322'];
+
+const LEGACY_SIGNATURE_LENGTH = 65;
+const BIP322_TAG = 'BIP0322-signed-message';
+
+// sha256(sha256(tag) || sha256(tag) || message), BIP340 style
+export function bip322MessageHash(message) {
+  const tag = sha256(Buffer.from(BIP322_TAG));
+  return sha256(Buffer.concat([tag, tag, Buffer.from(message, 'utf8')]));
+}
+
+// The two virtual transactions of BIP322: to_spend locks 0 sats to the
+// address with the message hash in its input, to_sign spends it
+function bip322Transactions(message, scriptPubKey) {
+  const toSpend = {
+    version: 0,
+    inputs: [{
+      txid: '00'.repeat(32),
+      vout: 0xffffffff,
+      scriptSig: Buffer.concat([Buffer.from([0x00, 0x20]), bip322MessageHash(message)]),
+      sequence: 0
+    }],
+    outputs: [{ value: 0, script: scriptPubKey }],
+    locktime: 0
+  };
+  const toSign = {
+    version: 0,
+    inputs: [{ txid: transactionId(toSpend), vout: 0, sequence: 0 }],
+    outputs: [{ value: 0, script: Buffer.from([OP_RETURN]) }],
+    locktime: 0
+  };
+  return { toSpend, toSign };
+}
+
+// DER (r, s) to the 64-byte compact form secp256k1 libraries verify
+function decodeDerSignature(der) {
+  const fail = () => {
+    throw new Error('Witness signature is not DER encoded');
+  };
+  if (der.length < 8 || der[0] !== 0x30 || der[1] !== der.length - 2) fail();
+  const readInteger = (offset) => {
+    if (der[offset] !== 0x02) fail();
+    const length = der[offset + 1];
+    const value = der.subarray(offset + 2, offset + 2 + length);
+    if (!length || value.length !== length) fail();
+    // Strip the sign padding, then left-pad to 32 bytes
+    let start = 0;
+    while (start < length - 1 && value[start] === 0) start++;
+    const trimmed = value.subarray(start);
+    if (trimmed.length > 32) fail();
+    return { value: Buffer.concat([Buffer.alloc(32 - trimmed.length), trimmed]), next: offset + 2 + length };
+  };
+  const r = readInteger(2);
+  const s = readInteger(r.next);
+  if (s.next !== der.length) fail();
+  return Buffer.concat([r.value, s.value]);
+}
+
+const decodeBase64 = (text) => {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text) || text.length % 4 !== 0) {
+    throw new Error('Signature must be base64');
+  }
+  return Buffer.from(text, 'base64');
+};
+
+// A 65-byte signature with a header flag in 27-42 can only be legacy
+const detectFormat = (bytes) =>
+  bytes.length === LEGACY_SIGNATURE_LENGTH && bytes[0] >= 27 && bytes[0] <= 42 ? 'legacy' : 'bip322';
+
+function verifyLegacy(message, signature, addresses, network) {
+  for (const [addressType, address] of Object.entries(addresses)) {
+    try {
+      // checkSegwitAlways: Electrum and others sign for segwit addresses
+      // without the BIP137 segwit header flags
+      if (bitcoinMessage.verify(message, address, signature, network.messagePrefix, true)) {
+        return { valid: true, addressType, address };
+      }
+    } catch (e) {
+      // Header flags for another address type, or an uncompressed key
+    }
+  }
+  return { valid: false, reason: 'Signature was not made by this key for this message' };
+}
+
+function verifyBip322(message, signature, publicKey, addresses, ecc) {
+  let witness;
+  try {
+    witness = parseWitnessStack(signature);
+  } catch (error) {
+    throw new Error(`Not a BIP322 simple signature: ${error.message}`);
+  }
+  if (witness.length !== 2 || witness[1].length !== 33) {
+    return { valid: false, reason: 'Only P2WPKH and P2SH-P2WPKH signatures (a signature and a public key) are supported' };
+  }
+  const [signatureWithHashType, witnessKey] = witness;
+  if (!witnessKey.equals(Buffer.from(publicKey))) {
+    return { valid: false, reason: `Signed by public key ${witnessKey.toString('hex')}, not this one` };
+  }
+
+  const hashType = signatureWithHashType[signatureWithHashType.length - 1];
+  const compact = decodeDerSignature(signatureWithHashType.subarray(0, -1));
+  const scriptCode = p2pkhScript(witnessKey);
+  const candidates = [
+    ['p2wpkh', p2wpkhScript(witnessKey)],
+    ['p2shP2wpkh', p2shP2wpkhScript(witnessKey)]
+  ];
+  for (const [addressType, scriptPubKey] of candidates) {
+    const { toSign } = bip322Transactions(message, scriptPubKey);
+    const sighash = segwitV0Sighash(toSign, 0, scriptCode, 0, hashType);
+    // strict: high-S signatures are non-standard, so BIP322 rejects them
+    if (ecc.verify(sighash, witnessKey, compact, true)) {
+      return { valid: true, addressType, address: addresses[addressType] };
+    }
+  }
+  return { valid: false, reason: 'Signature does not commit to this message' };
+}
+
+// { valid, format, addressType, address } or { valid: false, format, reason }.
+// Throws on input that isn't a signature at all (bad base64, unknown format).
+export function verifyMessage({ message, signature, publicKey, network, ecc, format = 'auto' }) {
+  if (!MESSAGE_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${MESSAGE_FORMATS.join(', ')}`);
+  }
+  const bytes = decodeBase64(String(signature).trim());
+  const chosen = format === 'auto' ? detectFormat(bytes) : format;
+  const addresses = {
+    p2pkh: getP2pkhAddress(publicKey, network),
+    p2shP2wpkh: getP2shAddress(publicKey, network),
+    p2wpkh: getP2wpkhAddress(publicKey, network)
+  };
+
+  const result = chosen === 'legacy'
+    ? verifyLegacy(message, bytes, addresses, network)
+    : verifyBip322(message, bytes, publicKey, addresses, ecc);
+  return { format: chosen, ...result };
+}
@@ -0,0 +1,523 @@
+// lib/oidc-provider.js - "Sign in with PayNym" as an OpenID Connect provider
+//
+// Lets other apps log users in with their PayNym without speaking Auth47
+// themselves. Implements the authorization code flow (with optional PKCE):
+//
+//   1. The app sends the browser to /oidc/authorize
+//   2. Users with a login session here are sent straight back with a code;
+//      everyone else goes to /oidc/login, which runs the usual
+//      /start-auth -> wallet -> /verify flow and hands the verified nonce to
+//      /oidc/requests/:id/complete
+//   3. The app swaps the code for tokens at /oidc/token and may call
+//      /oidc/userinfo with the access token
+//
+// Tokens are ES256 JWTs that apps check against /oidc/jwks. The subject is
+// the user's payment code.
+
+import express from 'express';
+import crypto from 'crypto';
+import { signJwt, verifyJwt } from './jwt.js';
+import { requestMetadata } from './audit-log.js';
+import { isNonce, WIDGET_CHALLENGE } from './auth47-verification.js';
+
+// Authorization requests wait this long for the user to log in
+const REQUEST_TTL = 10 * 60;
+// Codes must be redeemed within a minute
+const CODE_TTL = 60;
+
+const SCOPES = ['openid', 'profile'];
+const AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'none'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+const hashSecret = (value) => sha256(value).toString('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Load the ES256 key tokens are signed with from a PEM-encoded P-256 private
+// key, or generate a throwaway one when `pem` is empty
+export function loadSigningKey(pem) {
+  const privateKey = pem
+    ? crypto.createPrivateKey(pem.replace(/\\n/g, '\n'))
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  const publicKey = crypto.createPublicKey(privateKey);
+
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  if (crv !== 'P-256') {
+    throw new Error('OIDC signing key must be a P-256 EC key');
+  }
+
+  // RFC 7638 thumbprint as the key id
+  const kid = sha256(JSON.stringify({ crv, kty, x, y })).toString('base64url');
+
+  return {
+    privateKey,
+    publicKey,
+    kid,
+    jwk: { kty, crv, x, y, kid, alg: 'ES256', use: 'sig' }
+  };
+}
+
+// Registered relying parties. Stored in MongoDB when a collection is given,
+// otherwise in memory (clients are then lost on restart).
+export function createClientRegistry(collection) {
+  const clients = new Map();
+
+  return {
+    backend: collection ? 'mongo' : 'memory',
+
+    // Returns the client together with its secret, which is only stored hashed
+    async register({ clientName, redirectUris, tokenEndpointAuthMethod }) {
+      const clientId = crypto.randomBytes(16).toString('hex');
+      const clientSecret = tokenEndpointAuthMethod === 'none' ? null : randomToken();
+      const client = {
+        _id: clientId,
+        clientName,
+        redirectUris,
+        tokenEndpointAuthMethod,
+        secretHash: clientSecret ? hashSecret(clientSecret) : null,
+        createdAt: new Date()
+      };
+
+      if (collection) {
+        await collection.insertOne(client);
+      } else {
+        clients.set(clientId, client);
+      }
+      return { client, clientSecret };
+    },
+
+    async find(clientId) {
+      if (typeof clientId !== 'string' || !clientId) return null;
+      return collection
+        ? collection.findOne({ _id: clientId })
+        : clients.get(clientId) || null;
+    }
+  };
+}
+
+// issuer:            public base URL of this server
+// signingKey:        result of loadSigningKey()
+// clients:           client registry (createClientRegistry)
+// requests, codes:   expiring stores (lib/store.js) for pending authorization
+//                    requests and issued codes
+// pendingAuths:      Auth47 challenge store, keyed by nonce
+// isBoundRequest:    (req, auth) => whether req presents the challenge's binding
+// sessions:          session manager (lib/session.js)
+// audit:             audit log (lib/audit-log.js)
+// lookupNymName:     async paymentCode => nymName or null
+// registrationToken: bearer token required by /oidc/register (disabled if unset)
+// tokenTtl:          access and ID token lifetime in seconds
+export function createOidcProvider({
+  issuer,
+  signingKey,
+  clients,
+  requests,
+  codes,
+  pendingAuths,
+  isBoundRequest,
+  sessions,
+  audit,
+  lookupNymName,
+  registrationToken,
+  tokenTtl
+}) {
+  const router = express.Router();
+  const endpoint = (pathname) => `${issuer}${pathname}`;
+  const userinfoUrl = endpoint('/oidc/userinfo');
+
+  // OAuth errors use their own response format (RFC 6749 section 5.2)
+  const oauthError = (res, status, error, description) =>
+    res.status(status).json({ error, error_description: description });
+
+  const redirectWith = (res, redirectUri, params) => {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+    res.redirect(url.toString());
+  };
+
+  // Issue a single-use code for an authorization request
+  const issueCode = async (request, { paymentCode, authTime }) => {
+    const code = randomToken();
+    await codes.set(hashSecret(code), {
+      clientId: request.clientId,
+      redirectUri: request.redirectUri,
+      scope: request.scope,
+      nonce: request.nonce,
+      codeChallenge: request.codeChallenge,
+      paymentCode,
+      authTime,
+      expiresAt: new Date(Date.now() + CODE_TTL * 1000)
+    });
+    return code;
+  };
+
+  const isValidRedirectUri = (value) => {
+    try {
+      const url = new URL(value);
+      const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+      return (url.protocol === 'https:' || (url.protocol === 'http:' && local)) && !url.hash;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const hasScope = (scope, name) => scope.split(' ').includes(name);
+
+  // Identity claims for a payment code, shared by the ID token and userinfo
+  const identityClaims = async (paymentCode, scope) => {
+    const claims = { payment_code: paymentCode };
+    if (hasScope(scope, 'profile')) {
+      const nymName = await lookupNymName(paymentCode);
+      if (nymName) {
+        claims.nym_name = nymName;
+        claims.preferred_username = nymName;
+      }
+      // Served by whichever directory this server uses (PAYNYM_API_URL)
+      claims.picture = endpoint(`/api/paynym/avatar/${paymentCode}`);
+    }
+    return claims;
+  };
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: endpoint('/oidc/authorize'),
+      token_endpoint: endpoint('/oidc/token'),
+      userinfo_endpoint: userinfoUrl,
+      jwks_uri: endpoint('/oidc/jwks'),
+      registration_endpoint: endpoint('/oidc/register'),
+      scopes_supported: SCOPES,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['ES256'],
+      token_endpoint_auth_methods_supported: AUTH_METHODS,
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce',
+        'payment_code', 'nym_name', 'preferred_username', 'picture']
+    });
+  });
+
+  router.get('/oidc/jwks', (req, res) => {
+    res.json({ keys: [signingKey.jwk] });
+  });
+
+  // Client registration (a subset of RFC 7591), for operators holding the
+  // registration token
+  router.post('/oidc/register', async (req, res) => {
+    try {
+      const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      if (!registrationToken || !token || !safeEqual(token, registrationToken)) {
+        return oauthError(res, 401, 'invalid_token', 'A valid registration token is required');
+      }
+
+      const {
+        client_name: clientName,
+        redirect_uris: redirectUris,
+        token_endpoint_auth_method: tokenEndpointAuthMethod = 'client_secret_basic'
+      } = req.body || {};
+
+      if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isValidRedirectUri)) {
+        return oauthError(res, 400, 'invalid_redirect_uri',
+          'redirect_uris must be a non-empty list of https URLs (http is allowed for localhost)');
+      }
+
+      if (!AUTH_METHODS.includes(tokenEndpointAuthMethod)) {
+        return oauthError(res, 400, 'invalid_client_metadata',
+          `token_endpoint_auth_method must be one of: ${AUTH_METHODS.join(', ')}`);
+      }
+
+      const { client, clientSecret } = await clients.register({
+        clientName: typeof clientName === 'string' && clientName.trim() ? clientName.trim() : null,
+        redirectUris,
+        tokenEndpointAuthMethod
+      });
+
+      console.log(`📝 OIDC client registered: ${client._id} (${client.clientName || 'unnamed'})`);
+
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json({
+        client_id: client._id,
+        ...(clientSecret && { client_secret: clientSecret, client_secret_expires_at: 0 }),
+        client_id_issued_at: Math.floor(client.createdAt.getTime() / 1000),
+        client_name: client.clientName,
+        redirect_uris: client.redirectUris,
+        token_endpoint_auth_method: client.tokenEndpointAuthMethod
+      });
+    } catch (error) {
+      console.error('💥 OIDC registration error:', error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/oidc/authorize', async (req, res) => {
+    try {
+      const {
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: responseType,
+        scope = '',
+        state,
+        nonce,
+        prompt,
+        max_age: maxAge,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod
+      } = req.query;
+
+      // Without a known client and redirect URI there is nowhere safe to
+      // send errors, so they are reported here instead
+      const client = await clients.find(clientId);
+      if (!client) {
+        return oauthError(res, 400, 'invalid_request', 'Unknown client_id');
+      }
+      if (!client.redirectUris.includes(redirectUri)) {
+        return oauthError(res, 400, 'invalid_request', 'redirect_uri is not registered for this client');
+      }
+
+      const fail = (error, description) =>
+        redirectWith(res, redirectUri, { error, error_description: description, state });
+
+      if (responseType !== 'code') {
+        return fail('unsupported_response_type', 'Only response_type=code is supported');
+      }
+      if (typeof scope !== 'string' || !hasScope(scope, 'openid')) {
+        return fail('invalid_scope', 'The openid scope is required');
+      }
+      if (codeChallenge && codeChallengeMethod !== 'S256') {
+        return fail('invalid_request', 'code_challenge_method must be S256');
+      }
+      if (!codeChallenge && client.tokenEndpointAuthMethod === 'none') {
+        return fail('invalid_request', 'Public clients must use PKCE');
+      }
+
+      const request = {
+        clientId,
+        redirectUri,
+        scope: scope.split(' ').filter((name) => SCOPES.includes(name)).join(' '),
+        state,
+        nonce,
+        codeChallenge,
+        expiresAt: new Date(Date.now() + REQUEST_TTL * 1000)
+      };
+
+      // Reuse the login session unless the app asked for a fresh login
+      const maxAgeSeconds = parseInt(maxAge, 10);
+      const sessionFresh = req.session && (isNaN(maxAgeSeconds) ||
+        Date.now() - req.session.issuedAt.getTime() <= maxAgeSeconds * 1000);
+
+      if (sessionFresh && prompt !== 'login') {
+        const code = await issueCode(request, {
+          paymentCode: req.session.paymentCode,
+          authTime: Math.floor(req.session.issuedAt.getTime() / 1000)
+        });
+        console.log(`🔑 OIDC code issued to ${clientId} from session of ${req.session.paymentCode}`);
+        return redirectWith(res, redirectUri, { code, state });
+      }
+
+      if (prompt === 'none') {
+        return fail('login_required', 'The user is not logged in');
+      }
+
+      const requestId = randomToken();
+      await requests.set(requestId, request);
+      res.redirect(`/oidc/login?request=${requestId}`);
+    } catch (error) {
+      console.error('💥 OIDC authorize error:', error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // What the login page shows about the app asking for the login
+  router.get('/oidc/requests/:id', async (req, res) => {
+    try {
+      const request = await requests.get(req.params.id);
+      const client = request && await clients.find(request.clientId);
+      if (!client) {
+        return res.status(404).json({ error: 'Login request not found or expired' });
+      }
+
+      res.json({
+        clientName: client.clientName,
+        redirectOrigin: new URL(request.redirectUri).origin,
+        scope: request.scope,
+        expiresAt: request.expiresAt
+      });
+    } catch (error) {
+      console.error('💥 OIDC login request error:', error);
+      res.status(500).json({ error: 'Failed to read login request' });
+    }
+  });
+
+  // Finish an authorization request with a verified Auth47 nonce. Like
+  // POST /session, the nonce must be presented with its binding and is
+  // consumed. Also starts a login session here so later logins skip the QR.
+  router.post('/oidc/requests/:id/complete', async (req, res) => {
+    try {
+      const { nonce } = req.body || {};
+      if (!isNonce(nonce)) {
+        return res.status(400).json({ error: 'Missing or invalid nonce parameter' });
+      }
+
+      const auth = await pendingAuths.get(nonce);
+      if (!auth || !auth.verified || auth.kind === WIDGET_CHALLENGE || !isBoundRequest(req, auth)) {
+        return res.status(401).json({ error: 'Invalid or expired authentication' });
+      }
+
+      if (!(await requests.get(req.params.id))) {
+        return res.status(404).json({ error: 'Login request not found or expired' });
+      }
+
+      if (!(await pendingAuths.take(nonce))) {
+        return res.status(401).json({ error: 'Invalid or expired authentication' });
+      }
+
+      const request = await requests.take(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Login request not found or expired' });
+      }
+
+      await audit.record('consumed', {
+        nonce,
+        paymentCode: auth.paymentCode,
+        consumer: 'oidc',
+        oidcClientId: request.clientId,
+        ...requestMetadata(req)
+      });
+
+      sessions.issue(res, { paymentCode: auth.paymentCode, nym: auth.nym });
+
+      const code = await issueCode(request, {
+        paymentCode: auth.paymentCode,
+        authTime: Math.floor(Date.now() / 1000)
+      });
+
+      console.log(`🔑 OIDC code issued to ${request.clientId} for ${auth.paymentCode}`);
+
+      const redirect = new URL(request.redirectUri);
+      redirect.searchParams.set('code', code);
+      if (request.state) {
+        redirect.searchParams.set('state', request.state);
+      }
+      res.json({ success: true, redirect: redirect.toString() });
+    } catch (error) {
+      console.error('💥 OIDC login error:', error);
+      res.status(500).json({ error: 'Failed to complete login' });
+    }
+  });
+
+  router.post('/oidc/token', express.urlencoded({ extended: false }), async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      const body = req.body || {};
+
+      // Client authentication: HTTP Basic or credentials in the body
+      let clientId = body.client_id;
+      let clientSecret = body.client_secret;
+      const basic = (req.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+      if (basic) {
+        const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+        const index = decoded.indexOf(':');
+        try {
+          clientId = decodeURIComponent(decoded.slice(0, index));
+          clientSecret = decodeURIComponent(decoded.slice(index + 1));
+        } catch (e) {
+          return oauthError(res, 401, 'invalid_client', 'Malformed client credentials');
+        }
+      }
+
+      const client = await clients.find(clientId);
+      const authenticated = client && (client.tokenEndpointAuthMethod === 'none'
+        ? !clientSecret
+        : typeof clientSecret === 'string' && safeEqual(hashSecret(clientSecret), client.secretHash));
+      if (!authenticated) {
+        return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+      }
+
+      if (body.grant_type !== 'authorization_code') {
+        return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+      }
+
+      const grant = typeof body.code === 'string' && await codes.take(hashSecret(body.code));
+      if (!grant || grant.clientId !== client._id || grant.redirectUri !== body.redirect_uri) {
+        return oauthError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+      }
+
+      if (grant.codeChallenge) {
+        const verifier = body.code_verifier;
+        if (typeof verifier !== 'string' || !safeEqual(sha256(verifier).toString('base64url'), grant.codeChallenge)) {
+          return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+        }
+      }
+
+      const signOptions = { algorithm: 'ES256', keyId: signingKey.kid, expiresIn: tokenTtl };
+
+      const idToken = signJwt({
+        iss: issuer,
+        sub: grant.paymentCode,
+        aud: client._id,
+        auth_time: grant.authTime,
+        ...(grant.nonce && { nonce: grant.nonce }),
+        ...(await identityClaims(grant.paymentCode, grant.scope))
+      }, signingKey.privateKey, signOptions);
+
+      const accessToken = signJwt({
+        iss: issuer,
+        sub: grant.paymentCode,
+        aud: userinfoUrl,
+        client_id: client._id,
+        scope: grant.scope
+      }, signingKey.privateKey, signOptions);
+
+      console.log(`✅ OIDC tokens issued to ${client._id} for ${grant.paymentCode}`);
+
+      res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: tokenTtl,
+        id_token: idToken,
+        scope: grant.scope
+      });
+    } catch (error) {
+      console.error('💥 OIDC token error:', error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  const userinfo = async (req, res) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const claims = verifyJwt(token, signingKey.publicKey, { algorithm: 'ES256' });
+
+    if (!claims || claims.iss !== issuer || claims.aud !== userinfoUrl) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return oauthError(res, 401, 'invalid_token', 'Invalid or expired access token');
+    }
+
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        sub: claims.sub,
+        ...(await identityClaims(claims.sub, claims.scope || ''))
+      });
+    } catch (error) {
+      console.error('💥 OIDC userinfo error:', error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  };
+
+  router.get('/oidc/userinfo', userinfo);
+  router.post('/oidc/userinfo', userinfo);
+
+  return router;
+}
@@ -0,0 +1,200 @@
+// lib/payment-code.js - Byte-level decoding of BIP47 payment codes
+//
+// @samouraiwallet/bip47 only parses valid version 1 codes and throws on
+// anything else. The Lab wants to explain what is wrong with a code, so this
+// decodes the Base58Check string itself and reports every field and anomaly.
+//
+// Layouts (after the Base58Check prefix byte):
+//   v1, v2  prefix 0x47 ("PM8T..." for v1), 80 bytes: version, features, sign,
+//           x (32), chain code (32), 13 reserved bytes
+//   v3      prefix 0x22 ("PD..."), 34 bytes: version, sign, x (32); no
+//           features byte and no chain code, so no BIP32 children or
+//           notification address
+//
+// Reserved bytes must be zero except for the Bitmessage version and stream
+// (bytes 67 and 68 when feature bit 0 is set) and Samourai's segwit flag
+// (byte 79 set to 0x01).
+
+import crypto from 'crypto';
+import { networks, getP2pkhAddress } from '@samouraiwallet/bip47/utils';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Offsets within the payload (without the prefix byte)
+const LAYOUTS = {
+  1: { prefix: 0x47, length: 80, features: 1, publicKey: 2, chainCode: 35 },
+  2: { prefix: 0x47, length: 80, features: 1, publicKey: 2, chainCode: 35 },
+  3: { prefix: 0x22, length: 34, features: null, publicKey: 1, chainCode: null }
+};
+
+const RESERVED = 67;
+const BITMESSAGE_VERSION = 67;
+const BITMESSAGE_STREAM = 68;
+const SEGWIT_FLAG = 79;
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+const doubleSha256 = (bytes) =>
+  crypto.createHash('sha256').update(crypto.createHash('sha256').update(bytes).digest()).digest();
+
+export function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid Base58 character "${char}"`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value === 0n ? '' : value.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  // Each leading '1' is a leading zero byte
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
+
+// BIP32 public child derivation (non-hardened)
+function deriveChild(ecc, publicKey, chainCode, index) {
+  const data = Buffer.alloc(37);
+  Buffer.from(publicKey).copy(data, 0);
+  data.writeUInt32BE(index, 33);
+  const I = crypto.createHmac('sha512', chainCode).update(data).digest();
+  return ecc.pointAddScalar(publicKey, I.subarray(0, 32));
+}
+
+// Returns { valid, checks, errors, ... } for any string; never throws.
+// `checks` keeps the keys /api/bip47/validate has always returned.
+// Deriving the notification key is the slow part; bulk callers that only
+// need the verdict pass `notification: false`.
+export function decodePaymentCode(value, { ecc, notification = true }) {
+  const paymentCode = String(value || '').trim();
+  const errors = [];
+  const checks = {
+    format: false,
+    length: false,
+    base58: /^[1-9A-HJ-NP-Za-km-z]+$/.test(paymentCode),
+    checksum: false,
+    version: false
+  };
+  const result = { paymentCode, valid: false, checks, errors };
+
+  if (!checks.base58) {
+    errors.push('Not a Base58 string');
+    return result;
+  }
+
+  const raw = base58Decode(paymentCode);
+  result.bytes = toHex(raw);
+  if (raw.length < 6) {
+    errors.push(`Decodes to only ${raw.length} bytes`);
+    return result;
+  }
+
+  const body = raw.subarray(0, raw.length - 4);
+  const checksum = raw.subarray(raw.length - 4);
+  const expected = doubleSha256(body).subarray(0, 4);
+  checks.checksum = checksum.equals(expected);
+  result.checksum = { valid: checks.checksum, actual: toHex(checksum), expected: toHex(expected) };
+  if (!checks.checksum) {
+    errors.push('Checksum mismatch: the code is mistyped or corrupted');
+  }
+
+  const prefix = body[0];
+  const payload = body.subarray(1);
+  const version = payload[0];
+  const layout = LAYOUTS[version] || null;
+  result.prefix = `0x${prefix.toString(16).padStart(2, '0')}`;
+  result.version = version;
+
+  if (!layout) {
+    errors.push(`Unknown payment code version ${version}`);
+    return result;
+  }
+  checks.version = true;
+  checks.format = prefix === layout.prefix;
+  checks.length = payload.length === layout.length;
+  if (!checks.format) {
+    errors.push(`Version ${version} codes use prefix 0x${layout.prefix.toString(16)}, not ${result.prefix}`);
+  }
+  if (!checks.length) {
+    errors.push(`Version ${version} payloads are ${layout.length} bytes, got ${payload.length}`);
+    return result;
+  }
+
+  let bitmessage = false;
+  if (layout.features === null) {
+    result.features = null;
+  } else {
+    const features = payload[layout.features];
+    bitmessage = Boolean(features & 0x01);
+    result.features = {
+      byte: `0x${features.toString(16).padStart(2, '0')}`,
+      bitmessage,
+      // Bits 1-7 are reserved and must be zero
+      reservedBits: (features & 0xfe) !== 0,
+      segwit: payload[SEGWIT_FLAG] === 0x01
+    };
+    if (result.features.reservedBits) {
+      errors.push('Reserved feature bits are set');
+    }
+  }
+
+  const publicKey = payload.subarray(layout.publicKey, layout.publicKey + 33);
+  const sign = publicKey[0];
+  const onCurve = (sign === 0x02 || sign === 0x03) && ecc.isPoint(publicKey);
+  result.publicKey = { hex: toHex(publicKey), sign: `0x${sign.toString(16).padStart(2, '0')}`, valid: onCurve };
+  if (!onCurve) {
+    errors.push('Public key is not a compressed secp256k1 point');
+  }
+
+  if (layout.chainCode !== null) {
+    const chainCode = payload.subarray(layout.chainCode, layout.chainCode + 32);
+    result.chainCode = toHex(chainCode);
+
+    // Reserved bytes, minus the ones the features explain
+    const anomalies = [];
+    for (let offset = RESERVED; offset < payload.length; offset++) {
+      const byte = payload[offset];
+      if (byte === 0) continue;
+      if (bitmessage && (offset === BITMESSAGE_VERSION || offset === BITMESSAGE_STREAM)) continue;
+      if (offset === SEGWIT_FLAG && byte === 0x01) continue;
+      anomalies.push({ offset, value: `0x${byte.toString(16).padStart(2, '0')}` });
+    }
+    result.padding = { hex: toHex(payload.subarray(RESERVED)), anomalies };
+    if (anomalies.length) {
+      errors.push(`Reserved bytes are not zero at offset ${anomalies.map((a) => a.offset).join(', ')}`);
+    }
+    result.bitmessage = bitmessage
+      ? { version: payload[BITMESSAGE_VERSION], stream: payload[BITMESSAGE_STREAM] }
+      : null;
+
+    // Notification key: child 0 of the code's public key and chain code
+    const notificationKey = onCurve && notification ? deriveChild(ecc, publicKey, chainCode, 0) : null;
+    result.notification = notificationKey ? {
+      publicKey: toHex(notificationKey),
+      addresses: {
+        bitcoin: getP2pkhAddress(notificationKey, networks.bitcoin),
+        testnet: getP2pkhAddress(notificationKey, networks.testnet)
+      }
+    } : null;
+  } else {
+    result.chainCode = null;
+    result.padding = null;
+    result.bitmessage = null;
+    result.notification = null;
+  }
+
+  // Byte ranges of the decoded string (payload offsets + 1), for breakdowns
+  const range = (name, offset, length) => ({ name, start: offset + 1, end: offset + 1 + length });
+  result.layout = [
+    { name: 'prefix', start: 0, end: 1 },
+    range('version', 0, 1),
+    layout.features !== null && range('features', layout.features, 1),
+    range('publicKey', layout.publicKey, 33),
+    layout.chainCode !== null && range('chainCode', layout.chainCode, 32),
+    layout.chainCode !== null && range('padding', RESERVED, layout.length - RESERVED),
+    { name: 'checksum', start: raw.length - 4, end: raw.length }
+  ].filter(Boolean);
+
+  result.valid = Object.values(checks).every(Boolean) && errors.length === 0;
+  return result;
+}
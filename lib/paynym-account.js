@@ -0,0 +1,157 @@
+// lib/paynym-account.js - Manage a PayNym from the explorer
+//
+// The directory's write calls (paynym-api.md) are authenticated by a
+// single-use token signed with the notification key of the nym's primary
+// payment code. Wallets hold that key, so the flow is:
+//   1. create/token answers with a token and a signing request: the token as
+//      the message, and the notification address to sign it with
+//   2. the user signs it in their wallet and pastes the signature
+//   3. the signed call is relayed with the token; its answer carries the next
+//      token, and a new signing request for it
+// Signatures are checked here before relaying, so a wrong one doesn't use up
+// the token.
+//
+//   POST /api/paynym/create    { code }  the nym of a payment code, created
+//                                        if needed
+//   POST /api/paynym/token     { code }  a fresh token
+//   POST /api/paynym/claim     { code, token, signature }
+//   POST /api/paynym/follow    { code, token, signature, target }
+//   POST /api/paynym/unfollow  { code, token, signature, target }
+//   POST /api/paynym/add-code  { code, token, signature, nym, newCode }
+//                                        add newCode to the nym
+
+import express from 'express';
+import { networks } from '@samouraiwallet/bip47/utils';
+import { verifyMessage } from './message-signing.js';
+
+// Tokens and nym identifiers are short; anything longer is not one
+const MAX_FIELD_LENGTH = 512;
+
+const accountError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const requireString = (value, label) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw accountError(`${label} required`);
+  }
+  if (value.length > MAX_FIELD_LENGTH) {
+    throw accountError(`${label} is too long`);
+  }
+  return value.trim();
+};
+
+// paynym:  lib/paynym-client.js instance
+// bip47:   BIP47Factory(ecc) instance
+// ecc:     secp256k1 implementation the factory was built with
+export function createPaynymAccount({ paynym, bip47, ecc }) {
+  const router = express.Router();
+
+  const parsePaymentCode = (value, label = 'Payment code') => {
+    const text = requireString(value, label);
+    try {
+      return bip47.fromBase58(text);
+    } catch (e) {
+      throw accountError(`Invalid ${label.toLowerCase()}: ${e.message}`);
+    }
+  };
+
+  const signingRequest = (paymentCode, token) => ({
+    message: token,
+    address: paymentCode.getNotificationAddress(),
+    paymentCode: paymentCode.toBase58()
+  });
+
+  // Checks the signature of the token by the code's notification address and
+  // resolves to the fields every authenticated call needs
+  const authenticate = (body) => {
+    const paymentCode = parsePaymentCode(body.code);
+    const token = requireString(body.token, 'Token');
+    const signature = requireString(body.signature, 'Signature');
+
+    let result;
+    try {
+      result = verifyMessage({
+        message: token,
+        signature,
+        publicKey: paymentCode.getNotificationPublicKey(),
+        network: networks.bitcoin,
+        ecc,
+        format: 'legacy'
+      });
+    } catch (error) {
+      throw accountError(error.message);
+    }
+    if (!result.valid || result.addressType !== 'p2pkh') {
+      throw accountError(
+        `Signature is not the token signed by ${paymentCode.getNotificationAddress()}, the notification address of this payment code`,
+        401
+      );
+    }
+    return { paymentCode, token, signature };
+  };
+
+  // Answers with the directory's reply, and a signing request for its next
+  // token so the page can go on without asking for a new one
+  const handle = (label, handler) => async (req, res) => {
+    try {
+      const { paymentCode, result } = await handler(req.body || {});
+      res.json({
+        ...result,
+        signingRequest: result.token ? signingRequest(paymentCode, result.token) : null
+      });
+    } catch (error) {
+      if (error.status) {
+        console.error(`❌ PayNym ${label} failed: ${error.message}`);
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`💥 PayNym ${label} error:`, error);
+      res.status(500).json({ error: `PayNym ${label} failed` });
+    }
+  };
+
+  router.post('/api/paynym/create', handle('create', async (body) => {
+    const paymentCode = parsePaymentCode(body.code);
+    const result = await paynym.create(paymentCode.toBase58());
+    console.log(`🆕 PayNym ${result.nymName} ready for ${paymentCode.toBase58()} (claimed: ${result.claimed})`);
+    return { paymentCode, result };
+  }));
+
+  router.post('/api/paynym/token', handle('token', async (body) => {
+    const paymentCode = parsePaymentCode(body.code);
+    const result = await paynym.token(paymentCode.toBase58());
+    return { paymentCode, result };
+  }));
+
+  router.post('/api/paynym/claim', handle('claim', async (body) => {
+    const { paymentCode, token, signature } = authenticate(body);
+    const result = await paynym.claim({ token, signature });
+    console.log(`✅ PayNym claimed: ${result.claimed}`);
+    return { paymentCode, result };
+  }));
+
+  router.post('/api/paynym/follow', handle('follow', async (body) => {
+    const { paymentCode, token, signature } = authenticate(body);
+    const target = requireString(body.target, 'Target');
+    const result = await paynym.follow({ token, signature, target });
+    console.log(`➕ ${result.follower} follows ${result.following}`);
+    return { paymentCode, result };
+  }));
+
+  router.post('/api/paynym/unfollow', handle('unfollow', async (body) => {
+    const { paymentCode, token, signature } = authenticate(body);
+    const target = requireString(body.target, 'Target');
+    const result = await paynym.unfollow({ token, signature, target });
+    console.log(`➖ ${result.follower} unfollowed ${result.unfollowing}`);
+    return { paymentCode, result };
+  }));
+
+  router.post('/api/paynym/add-code', handle('add code', async (body) => {
+    const { paymentCode, token, signature } = authenticate(body);
+    const nym = requireString(body.nym, 'Nym');
+    const newCode = parsePaymentCode(body.newCode, 'New payment code').toBase58();
+    const result = await paynym.addCode({ token, signature, nym, code: newCode });
+    console.log(`🔗 Added ${newCode} to ${nym}`);
+    return { paymentCode, result };
+  }));
+
+  return router;
+}
@@ -0,0 +1,268 @@
+// lib/paynym-client.js - Cached client for the paynym.rs nym API
+//
+// Profile pages, follower lists and guestbook posts all look up the same
+// popular nyms, so lookups go through one LRU cache shared by the server:
+//   fresh   answered from the cache
+//   stale   answered from the cache while one background request refreshes
+//           it (stale-while-revalidate); a failed refresh keeps the old value
+//   unknown nyms are cached too, for a shorter time, so typos and deleted
+//           nyms don't reach upstream on every request
+// Concurrent lookups of the same nym share one upstream request.
+//
+// lookup(nym) resolves to the paynym.rs record, or null for an unknown nym.
+// Account calls (create, token and the authenticated claim, follow, unfollow
+// and nym/add) are never cached; changes they make drop the affected records
+// from the cache. Upstream failures reject with an Error whose `status` is
+// the HTTP status to answer with.
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const paynymError = (message, status = 502) => Object.assign(new Error(message), { status });
+
+// baseUrl:      paynym.rs or a compatible server
+// ttlMs:        how long a record is fresh
+// staleMs:      how long after that it may still be served while refreshing
+// negativeTtlMs: how long an unknown nym stays unknown
+// maxEntries:   cache size; the least recently used entry goes first
+// fetch:        fetch implementation (global fetch by default)
+export function createPaynymClient({
+  baseUrl = 'https://paynym.rs',
+  ttlMs = 5 * 60 * 1000,
+  staleMs = 60 * 60 * 1000,
+  negativeTtlMs = 60 * 1000,
+  maxEntries = 1000,
+  fetch = globalThis.fetch
+} = {}) {
+  const apiUrl = `${baseUrl.replace(/\/$/, '')}/api/v1`;
+  // Map iteration order is insertion order, so re-inserting on every read
+  // keeps the least recently used entry first
+  const cache = new Map();
+  const inflight = new Map();
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    negativeHits: 0,
+    misses: 0,
+    coalesced: 0,
+    upstreamRequests: 0,
+    upstreamErrors: 0,
+    evictions: 0
+  };
+
+  // Resolves to { response, text }
+  async function post(path, body, headers = {}) {
+    stats.upstreamRequests++;
+    try {
+      const response = await fetch(`${apiUrl}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      return { response, text: await response.text() };
+    } catch (error) {
+      throw paynymError(`Paynym API unreachable: ${error.message}`);
+    }
+  }
+
+  function parse({ response, text }) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw paynymError('Invalid response from Paynym API');
+    }
+    if (!response.ok) {
+      throw paynymError(data.error || data.message || `Paynym API returned HTTP ${response.status}`,
+        response.status >= 500 ? 502 : response.status);
+    }
+    return data;
+  }
+
+  async function request(nym) {
+    const reply = await post('nym/', { nym });
+
+    // paynym.rs answers unknown nyms with 404 or an empty body
+    if (reply.response.status === 404 || (reply.response.ok && !reply.text.trim())) {
+      return null;
+    }
+    return parse(reply);
+  }
+
+  // Drops every cached record answering to one of `nyms` (a nymID, nymName
+  // or payment code), whichever of them it was looked up by
+  function forget(...nyms) {
+    const keys = new Set(nyms.filter(Boolean));
+    for (const [key, entry] of cache) {
+      const { value } = entry;
+      if (keys.has(key) || (value && (keys.has(value.nymID) || keys.has(value.nymName) ||
+          (value.codes || []).some((c) => keys.has(c.code))))) {
+        cache.delete(key);
+      }
+    }
+  }
+
+  // Account calls; `token` makes it an authenticated call
+  async function account(path, body, token) {
+    try {
+      return parse(await post(`${path}/`, body, token ? { 'auth-token': token } : {}));
+    } catch (error) {
+      stats.upstreamErrors++;
+      throw error;
+    }
+  }
+
+  function store(nym, value) {
+    const now = Date.now();
+    cache.delete(nym);
+    cache.set(nym, {
+      value,
+      freshUntil: now + (value ? ttlMs : negativeTtlMs),
+      // Unknown nyms are cheap to re-check, so they are never served stale
+      staleUntil: now + (value ? ttlMs + staleMs : negativeTtlMs)
+    });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  // One upstream request per nym at a time
+  function refresh(nym) {
+    if (inflight.has(nym)) {
+      stats.coalesced++;
+      return inflight.get(nym);
+    }
+    const pending = request(nym)
+      .then((value) => {
+        store(nym, value);
+        return value;
+      })
+      .catch((error) => {
+        stats.upstreamErrors++;
+        throw error;
+      })
+      .finally(() => inflight.delete(nym));
+    inflight.set(nym, pending);
+    return pending;
+  }
+
+  async function lookup(nym) {
+    const key = String(nym || '').trim();
+    if (!key) {
+      throw paynymError('Missing nym', 400);
+    }
+
+    const entry = cache.get(key);
+    const now = Date.now();
+    if (entry && now < entry.staleUntil) {
+      // Touch for LRU order
+      cache.delete(key);
+      cache.set(key, entry);
+
+      if (now >= entry.freshUntil) {
+        stats.staleHits++;
+        refresh(key).catch((error) => {
+          console.error(`⚠️  Paynym refresh failed for ${key}, serving stale:`, error.message);
+        });
+      } else if (entry.value) {
+        stats.hits++;
+      } else {
+        stats.negativeHits++;
+      }
+      return entry.value;
+    }
+
+    stats.misses++;
+    return refresh(key);
+  }
+
+  // Looks up many nyms with at most `concurrency` upstream requests in flight.
+  // Resolves to one { nym, data } or { nym, error } per nym, in input order;
+  // onResult(index, result) sees each one as soon as it settles. Once
+  // `signal` aborts no further lookups start.
+  async function lookupMany(nyms, { concurrency = 6, onResult = () => {}, signal } = {}) {
+    const results = new Array(nyms.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < nyms.length && !signal?.aborted) {
+        const index = next++;
+        const nym = nyms[index];
+        try {
+          results[index] = { nym, data: await lookup(nym) };
+        } catch (error) {
+          results[index] = { nym, error };
+        }
+        onResult(index, results[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, nyms.length) }, worker));
+    return results;
+  }
+
+  return {
+    lookup,
+    lookupMany,
+    forget,
+
+    // { claimed, nymID, nymName, segwit, token }; creates the nym if needed
+    async create(code) {
+      const data = await account('create', { code });
+      // It may have been cached as unknown
+      forget(code);
+      return data;
+    },
+
+    // { token } for an authenticated call by this payment code
+    token: (code) => account('token', { code }),
+
+    // Authenticated calls: `token` from create/token, signed with the
+    // notification key of the nym's primary payment code. Each answers with
+    // the next token.
+    async claim({ token, signature }) {
+      const data = await account('claim', { signature }, token);
+      forget(data.claimed);
+      return data;
+    },
+
+    async follow({ token, signature, target }) {
+      const data = await account('follow', { target, signature }, token);
+      forget(data.follower, data.following, target);
+      return data;
+    },
+
+    async unfollow({ token, signature, target }) {
+      const data = await account('unfollow', { target, signature }, token);
+      forget(data.follower, data.unfollowing, target);
+      return data;
+    },
+
+    async addCode({ token, signature, nym, code }) {
+      const data = await account('nym/add', { nym, code, signature }, token);
+      forget(nym, code);
+      return data;
+    },
+
+    // Name of the nym owning a payment code, or null (also on errors)
+    async nymName(paymentCode) {
+      try {
+        const data = await lookup(paymentCode);
+        return data ? data.nymName || null : null;
+      } catch (error) {
+        console.error(`⚠️  nymName lookup failed for ${paymentCode}:`, error.message);
+        return null;
+      }
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.staleHits + stats.negativeHits + stats.misses;
+      return {
+        ...stats,
+        size: cache.size,
+        maxEntries,
+        inflight: inflight.size,
+        hitRate: lookups ? Number(((lookups - stats.misses) / lookups).toFixed(3)) : null
+      };
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// lib/session.js - Login sessions issued after a successful Auth47 verification
+//
+// A session is a signed JWT (see lib/jwt.js) bound to the verified payment
+// code and kept in an HttpOnly cookie. Sessions are stateless: logging out
+// clears the cookie, and tokens stop working once they expire.
+
+import { signJwt, verifyJwt } from './jwt.js';
+
+export const SESSION_COOKIE = 'bip47_session';
+
+// Parse a Cookie header into a plain object
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies we can't decode
+    }
+  }
+  return cookies;
+}
+
+export function createSessionManager({ secret, ttl, secure }) {
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure,
+    path: '/'
+  };
+
+  return {
+    // Express middleware: sets req.session to
+    // { paymentCode, nym, issuedAt, expiresAt } for requests carrying a valid
+    // session cookie, null otherwise
+    middleware() {
+      return (req, res, next) => {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const claims = token ? verifyJwt(token, secret) : null;
+        req.session = claims && claims.sub
+          ? {
+              paymentCode: claims.sub,
+              nym: claims.nym,
+              issuedAt: new Date(claims.iat * 1000),
+              expiresAt: new Date(claims.exp * 1000)
+            }
+          : null;
+        next();
+      };
+    },
+
+    // Start a session for a verified payment code
+    issue(res, { paymentCode, nym }) {
+      const token = signJwt({ sub: paymentCode, nym }, secret, { expiresIn: ttl });
+      res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge: ttl * 1000 });
+      return {
+        paymentCode,
+        nym,
+        issuedAt: new Date(),
+        expiresAt: new Date(Date.now() + ttl * 1000)
+      };
+    },
+
+    clear(res) {
+      res.clearCookie(SESSION_COOKIE, cookieOptions);
+    }
+  };
+}
@@ -0,0 +1,150 @@
+// lib/store.js - Expiring key/value stores for short-lived server state
+//
+// Both backends expose the same async interface so callers never need to know
+// where records live:
+//   init()                      prepare the backend (indexes etc.)
+//   set(key, record)            insert or replace a record
+//   get(key)                    record, or null if missing/expired
+//   update(key, changes, match) apply changes if every field in `match` is
+//                               equal on the stored record; returns the
+//                               updated record or null
+//   delete(key)                 true if a record was removed
+//   take(key)                   atomically read and remove a record
+//   count(match)                number of live records matching `match`
+//
+// Every record must carry an `expiresAt` Date. Expired records are never
+// returned, and each backend removes them on its own schedule.
+
+const isLive = (record, now = Date.now()) => record.expiresAt.getTime() > now;
+
+const matches = (record, match) =>
+  Object.entries(match).every(([field, value]) => record[field] === value);
+
+// In-memory backend. Records are lost on restart and are not shared between
+// instances, so this is only suitable for local development or a single node.
+export function createMemoryStore({ sweepIntervalMs = 60000 } = {}) {
+  const records = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, record] of records.entries()) {
+      if (!isLive(record, now)) {
+        records.delete(key);
+      }
+    }
+  };
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (!isLive(record)) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  let sweepTimer = null;
+
+  return {
+    backend: 'memory',
+
+    async init() {
+      if (!sweepTimer) {
+        sweepTimer = setInterval(sweep, sweepIntervalMs);
+        sweepTimer.unref();
+      }
+    },
+
+    async set(key, record) {
+      records.set(key, { ...record });
+    },
+
+    async get(key) {
+      const record = read(key);
+      return record ? { ...record } : null;
+    },
+
+    async update(key, changes, match = {}) {
+      const record = read(key);
+      if (!record || !matches(record, match)) return null;
+      Object.assign(record, changes);
+      return { ...record };
+    },
+
+    async delete(key) {
+      return records.delete(key);
+    },
+
+    async take(key) {
+      const record = read(key);
+      if (!record) return null;
+      records.delete(key);
+      return { ...record };
+    },
+
+    async count(match = {}) {
+      let total = 0;
+      for (const key of records.keys()) {
+        const record = read(key);
+        if (record && matches(record, match)) total++;
+      }
+      return total;
+    }
+  };
+}
+
+// MongoDB backend. Records are documents keyed by `_id`; a TTL index on
+// `expiresAt` lets MongoDB delete them once they expire. The TTL monitor only
+// runs about once a minute, so reads also filter on `expiresAt`.
+export function createMongoStore(collection) {
+  const live = (filter = {}) => ({ ...filter, expiresAt: { $gt: new Date() } });
+
+  const strip = (doc) => {
+    if (!doc) return null;
+    const { _id, ...record } = doc;
+    return record;
+  };
+
+  return {
+    backend: 'mongo',
+
+    async init() {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    },
+
+    async set(key, record) {
+      await collection.replaceOne({ _id: key }, { ...record }, { upsert: true });
+    },
+
+    async get(key) {
+      return strip(await collection.findOne(live({ _id: key })));
+    },
+
+    async update(key, changes, match = {}) {
+      const doc = await collection.findOneAndUpdate(
+        live({ ...match, _id: key }),
+        { $set: changes },
+        { returnDocument: 'after', includeResultMetadata: false }
+      );
+      return strip(doc);
+    },
+
+    async delete(key) {
+      const result = await collection.deleteOne({ _id: key });
+      return result.deletedCount > 0;
+    },
+
+    async take(key) {
+      const doc = await collection.findOneAndDelete(
+        live({ _id: key }),
+        { includeResultMetadata: false }
+      );
+      return strip(doc);
+    },
+
+    async count(match = {}) {
+      return collection.countDocuments(live(match));
+    }
+  };
+}
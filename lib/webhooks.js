@@ -0,0 +1,232 @@
+// lib/webhooks.js - Signed webhook delivery with retries and a delivery log
+//
+// Every webhook is recorded as a delivery before it is sent. Failed attempts
+// are retried with exponential backoff by a background worker until one
+// succeeds or the attempts run out, and the delivery record keeps the outcome
+// of the last attempt so API clients can inspect what was sent.
+//
+// Requests carry
+//   X-Auth47-Event:     event name (e.g. challenge.verified)
+//   X-Auth47-Delivery:  delivery id, the same across retries
+//   X-Auth47-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// signed with the client's webhook secret.
+
+import crypto from 'crypto';
+
+const MAX_ATTEMPTS = 6;
+// 10s, 20s, 40s, 80s, 160s between attempts
+const BASE_DELAY_MS = 10 * 1000;
+// Deliveries being attempted are leased so another instance doesn't send
+// them at the same time
+const LEASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long the delivery log is kept
+const LOG_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Entries kept by the in-memory log
+const MEMORY_LOG_LIMIT = 1000;
+
+export function signWebhook(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Delivery log, in MongoDB when a collection is given, otherwise in memory
+function createDeliveryLog(collection) {
+  if (collection) {
+    return {
+      backend: 'mongo',
+
+      async init() {
+        await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: LOG_TTL_SECONDS });
+        await collection.createIndex({ status: 1, nextAttemptAt: 1 });
+        await collection.createIndex({ clientId: 1, createdAt: -1 });
+      },
+
+      async insert(delivery) {
+        await collection.insertOne(delivery);
+      },
+
+      async update(id, changes) {
+        await collection.updateOne({ _id: id }, { $set: changes });
+      },
+
+      // Lease the next pending delivery that is due
+      async claimDue(now) {
+        return collection.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+      },
+
+      async list(clientId, limit) {
+        return collection.find({ clientId }).sort({ createdAt: -1 }).limit(limit).toArray();
+      }
+    };
+  }
+
+  const deliveries = [];
+
+  return {
+    backend: 'memory',
+
+    async init() {},
+
+    async insert(delivery) {
+      deliveries.push({ ...delivery });
+      if (deliveries.length > MEMORY_LOG_LIMIT) {
+        deliveries.shift();
+      }
+    },
+
+    async update(id, changes) {
+      const delivery = deliveries.find((entry) => entry._id === id);
+      if (delivery) {
+        Object.assign(delivery, changes);
+      }
+    },
+
+    async claimDue(now) {
+      const delivery = deliveries.find((entry) =>
+        entry.status === 'pending' && entry.nextAttemptAt <= now);
+      if (!delivery) return null;
+      delivery.nextAttemptAt = new Date(now.getTime() + LEASE_MS);
+      return { ...delivery };
+    },
+
+    async list(clientId, limit) {
+      return deliveries
+        .filter((entry) => entry.clientId === clientId)
+        .reverse()
+        .slice(0, limit)
+        .map((entry) => ({ ...entry }));
+    }
+  };
+}
+
+// secretFor:       async clientId => the client's current webhook secret, or
+//                  null if the client is gone
+// collection:      MongoDB collection for the delivery log (memory if omitted)
+// retryIntervalMs: how often the worker looks for deliveries due a retry
+export function createWebhookDispatcher({ secretFor, collection, retryIntervalMs = 5000 }) {
+  const log = createDeliveryLog(collection);
+  let retryTimer = null;
+  let retrying = false;
+
+  // Make one attempt and record its outcome on the delivery
+  const attempt = async (delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const secret = await secretFor(delivery.clientId);
+      if (!secret) {
+        throw new Error('Client no longer exists');
+      }
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bip47-terminal-webhooks',
+          'X-Auth47-Event': delivery.event,
+          'X-Auth47-Delivery': delivery._id,
+          'X-Auth47-Signature': signWebhook(secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? 'Request timed out' : e.message;
+    }
+
+    const now = new Date();
+    if (!error) {
+      await log.update(delivery._id, {
+        status: 'delivered',
+        attempts,
+        lastStatusCode: statusCode,
+        lastError: null,
+        lastAttemptAt: now,
+        deliveredAt: now,
+        nextAttemptAt: null
+      });
+      console.log(`✅ Webhook ${delivery.event} delivered to ${delivery.url} (${delivery._id})`);
+      return;
+    }
+
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    await log.update(delivery._id, {
+      status: giveUp ? 'failed' : 'pending',
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: error,
+      lastAttemptAt: now,
+      nextAttemptAt: giveUp ? null : new Date(now.getTime() + BASE_DELAY_MS * 2 ** (attempts - 1))
+    });
+    console.log(`⚠️  Webhook ${delivery.event} to ${delivery.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error}`);
+  };
+
+  const retryDue = async () => {
+    if (retrying) return;
+    retrying = true;
+    try {
+      let delivery;
+      while ((delivery = await log.claimDue(new Date()))) {
+        await attempt(delivery);
+      }
+    } catch (error) {
+      console.error('❌ Webhook retry error:', error);
+    } finally {
+      retrying = false;
+    }
+  };
+
+  return {
+    backend: log.backend,
+
+    // Prepare the log and start the retry worker
+    async init() {
+      await log.init();
+      if (!retryTimer) {
+        retryTimer = setInterval(retryDue, retryIntervalMs);
+        retryTimer.unref();
+      }
+    },
+
+    // Record a delivery and make the first attempt right away. Resolves once
+    // the delivery is logged; the attempt itself runs in the background.
+    async send({ clientId, url, event, payload }) {
+      const delivery = {
+        _id: crypto.randomBytes(12).toString('hex'),
+        clientId,
+        url,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date(),
+        nextAttemptAt: new Date(Date.now() + LEASE_MS)
+      };
+      await log.insert(delivery);
+
+      attempt(delivery).catch((error) => {
+        console.error('❌ Webhook delivery error:', error);
+      });
+      return delivery._id;
+    },
+
+    // Most recent deliveries for a client
+    async list(clientId, limit = 50) {
+      return log.list(clientId, limit);
+    }
+  };
+}
@@ -0,0 +1,126 @@
+// auth-watch.js - Follow an Auth47 challenge until it settles
+//
+// Listens on the /auth-events/:nonce stream and falls back to polling
+// /check-auth/:nonce when EventSource is unavailable or the stream drops.
+// onStatus receives { status: 'pending' | 'verified' | 'failed' | 'expired', ... }
+// and is called at most once with a final (non-pending) status. A pending
+// status may carry the `rejection` ({ code, error }) of the wallet's last
+// proof; the challenge stays open so the wallet can try again. A challenge
+// that runs out after a rejection ends as `failed`, with that rejection.
+// `binding` is the secret /start-auth returned; without it a verified status
+// carries no identity. Returns a function that stops watching.
+function watchAuth(nonce, onStatus, { binding, pollInterval = 2000 } = {}) {
+  let source = null;
+  let pollTimer = null;
+  let done = false;
+  let rejection = null;
+
+  const stop = () => {
+    done = true;
+    if (source) {
+      source.close();
+      source = null;
+    }
+    clearTimeout(pollTimer);
+  };
+
+  const update = (data) => {
+    if (done) return;
+    if (data.rejection) {
+      rejection = data.rejection;
+    }
+    // /check-auth reports unknown or expired nonces as 'invalid'
+    if (data.status === 'invalid') {
+      data = rejection ? { status: 'failed', rejection } : { status: 'expired' };
+    }
+    if (data.status !== 'pending') {
+      stop();
+    }
+    onStatus(data);
+  };
+
+  const poll = async () => {
+    try {
+      const response = await fetch(`/check-auth/${encodeURIComponent(nonce)}`, {
+        headers: binding ? { 'X-Auth47-Binding': binding } : {}
+      });
+      update(await response.json());
+    } catch (error) {
+      console.error('Poll error:', error);
+    }
+    if (!done) {
+      pollTimer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  const fallBackToPolling = () => {
+    if (source) {
+      source.close();
+      source = null;
+    }
+    console.log('⚠️  Auth event stream unavailable, polling instead');
+    poll();
+  };
+
+  if ('EventSource' in window) {
+    const query = binding ? `?binding=${encodeURIComponent(binding)}` : '';
+    source = new EventSource(`/auth-events/${encodeURIComponent(nonce)}${query}`);
+    source.onmessage = (event) => update(JSON.parse(event.data));
+    source.onerror = () => {
+      if (!done) fallBackToPolling();
+    };
+  } else {
+    poll();
+  }
+
+  return stop;
+}
+
+// What to tell users when the server rejects their wallet's proof, by the
+// error code recorded against the nonce (see lib/auth47-verification.js)
+const AUTH_ERROR_MESSAGES = {
+  MISSING_FIELDS: 'Your wallet sent an incomplete proof.',
+  BAD_CHALLENGE: 'Your wallet sent a malformed challenge.',
+  MISSING_EXPIRY: 'Your wallet dropped the expiry from the challenge.',
+  NONCE_UNKNOWN: 'This login request is unknown or has already expired. Generate a new QR code.',
+  RESOURCE_MISMATCH: 'The signed challenge was issued for a different site.',
+  EXPIRED: 'The QR code expired before your wallet signed it. Generate a new one.',
+  EXPIRY_MISMATCH: 'The signed challenge does not match the one we issued.',
+  REPLAY: 'This QR code has already been used. Generate a new one.',
+  BAD_SIGNATURE: 'The signature does not match the payment code your wallet sent.'
+};
+
+function describeAuthError({ code, error } = {}) {
+  return AUTH_ERROR_MESSAGES[code] || error || 'Your wallet\'s proof was rejected.';
+}
+
+// Status line for a challenge whose last proof was rejected
+function describeRejection(rejection) {
+  return `⚠️ ${describeAuthError(rejection)} Waiting for your wallet to try again...`;
+}
+
+// Remember a challenge's binding so the wallet's callback page, opened later in
+// this browser, can read the result too
+function rememberAuthBinding(nonce, binding) {
+  try {
+    localStorage.setItem(`auth47-binding:${nonce}`, binding);
+  } catch (error) {
+    console.warn('⚠️  Could not store auth binding:', error);
+  }
+}
+
+function recallAuthBinding(nonce) {
+  try {
+    return localStorage.getItem(`auth47-binding:${nonce}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+function forgetAuthBinding(nonce) {
+  try {
+    localStorage.removeItem(`auth47-binding:${nonce}`);
+  } catch (error) {
+    // Nothing to clean up
+  }
+}
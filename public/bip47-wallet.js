@@ -0,0 +1,484 @@
+// bip47-wallet.js - BIP39/BIP32/BIP47 key derivation in the browser
+//
+// The Lab's payment code generator runs entirely on this page so that a
+// mnemonic typed into it never leaves the browser: hashing goes through
+// WebCrypto (secure contexts only) and secp256k1 is plain BigInt arithmetic.
+// Nothing here is constant-time or audited - it exists to show how a payment
+// code comes out of a seed, never to hold funds.
+//
+// The only request it makes is for the BIP39 English wordlist
+// (/api/bip47/wordlist), which carries nothing secret.
+const Bip47Wallet = (() => {
+  // secp256k1
+  const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+  const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+  const G = [
+    0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+  ];
+
+  const HARDENED = 0x80000000;
+  const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+  // BIP47 uses coin type 1 for testnet, as Samourai's library does
+  const NETWORKS = {
+    bitcoin: { coinType: 0, pubKeyHash: 0x00, scriptHash: 0x05, bech32: 'bc' },
+    testnet: { coinType: 1, pubKeyHash: 0x6f, scriptHash: 0xc4, bech32: 'tb' }
+  };
+
+  const encoder = new TextEncoder();
+
+  // ---- Bytes ----
+
+  const concat = (...parts) => {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  };
+
+  const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+  const bytesToBigInt = (bytes) => (bytes.length ? BigInt('0x' + toHex(bytes)) : 0n);
+
+  const bigIntToBytes = (value, length = 32) => {
+    const hex = value.toString(16).padStart(length * 2, '0');
+    return Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+  };
+
+  const uint32BE = (n) => new Uint8Array([n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]);
+
+  const equalBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+  // ---- Hashes (WebCrypto) ----
+
+  const subtle = () => {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) {
+      throw new Error('WebCrypto is unavailable: open the Lab over https or on localhost');
+    }
+    return globalThis.crypto.subtle;
+  };
+
+  const sha256 = async (bytes) => new Uint8Array(await subtle().digest('SHA-256', bytes));
+
+  async function hmacSha512(key, data) {
+    const cryptoKey = await subtle().importKey('raw', key, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']);
+    return new Uint8Array(await subtle().sign('HMAC', cryptoKey, data));
+  }
+
+  // RIPEMD-160, which WebCrypto lacks
+  const ripemd160 = (() => {
+    const rl = [
+      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+      7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+      3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12,
+      1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+      4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+    ];
+    const rr = [
+      5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12,
+      6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+      15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13,
+      8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+      12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+    ];
+    const sl = [
+      11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8,
+      7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+      11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5,
+      11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+      9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+    ];
+    const sr = [
+      8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6,
+      9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+      9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5,
+      15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+      8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+    ];
+    const kl = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+    const kr = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+    const f = (j, x, y, z) => {
+      if (j < 16) return x ^ y ^ z;
+      if (j < 32) return (x & y) | (~x & z);
+      if (j < 48) return (x | ~y) ^ z;
+      if (j < 64) return (x & z) | (y & ~z);
+      return x ^ (y | ~z);
+    };
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+    return (message) => {
+      // Pad to 64-byte blocks with the bit length little-endian at the end
+      const length = message.length;
+      const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+      padded.set(message);
+      padded[length] = 0x80;
+      const view = new DataView(padded.buffer);
+      view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+      view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+      const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+      for (let block = 0; block < padded.length; block += 64) {
+        const x = Array.from({ length: 16 }, (_, i) => view.getUint32(block + i * 4, true));
+        let [al, bl, cl, dl, el] = h;
+        let [ar, br, cr, dr, er] = h;
+        for (let j = 0; j < 80; j++) {
+          const round = j >> 4;
+          let t = (rotl((al + f(j, bl, cl, dl) + x[rl[j]] + kl[round]) | 0, sl[j]) + el) | 0;
+          al = el; el = dl; dl = rotl(cl, 10); cl = bl; bl = t;
+          t = (rotl((ar + f(79 - j, br, cr, dr) + x[rr[j]] + kr[round]) | 0, sr[j]) + er) | 0;
+          ar = er; er = dr; dr = rotl(cr, 10); cr = br; br = t;
+        }
+        const t = (h[1] + cl + dr) | 0;
+        h[1] = (h[2] + dl + er) | 0;
+        h[2] = (h[3] + el + ar) | 0;
+        h[3] = (h[4] + al + br) | 0;
+        h[4] = (h[0] + bl + cr) | 0;
+        h[0] = t;
+      }
+      const out = new Uint8Array(20);
+      const outView = new DataView(out.buffer);
+      h.forEach((word, i) => outView.setUint32(i * 4, word >>> 0, true));
+      return out;
+    };
+  })();
+
+  const hash160 = async (bytes) => ripemd160(await sha256(bytes));
+
+  // ---- secp256k1 (affine points as [x, y], null for infinity) ----
+
+  const mod = (a, m = P) => ((a % m) + m) % m;
+
+  function invert(a, m = P) {
+    let [low, high] = [mod(a, m), m];
+    let [lm, hm] = [1n, 0n];
+    while (low > 1n) {
+      const ratio = high / low;
+      [lm, hm] = [hm - lm * ratio, lm];
+      [low, high] = [high - low * ratio, low];
+    }
+    return mod(lm, m);
+  }
+
+  function powMod(base, exponent, m = P) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exponent > 0n) {
+      if (exponent & 1n) result = (result * base) % m;
+      base = (base * base) % m;
+      exponent >>= 1n;
+    }
+    return result;
+  }
+
+  function pointAdd(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a[0] === b[0]) {
+      if (mod(a[1] + b[1]) === 0n) return null;
+      const slope = mod(3n * a[0] * a[0] * invert(2n * a[1]));
+      const x = mod(slope * slope - 2n * a[0]);
+      return [x, mod(slope * (a[0] - x) - a[1])];
+    }
+    const slope = mod((b[1] - a[1]) * invert(b[0] - a[0]));
+    const x = mod(slope * slope - a[0] - b[0]);
+    return [x, mod(slope * (a[0] - x) - a[1])];
+  }
+
+  function pointMultiply(point, scalar) {
+    let result = null;
+    let addend = point;
+    for (let k = scalar; k > 0n; k >>= 1n) {
+      if (k & 1n) result = pointAdd(result, addend);
+      addend = pointAdd(addend, addend);
+    }
+    return result;
+  }
+
+  const compress = ([x, y]) => concat([y & 1n ? 0x03 : 0x02], bigIntToBytes(x));
+
+  function decompress(bytes) {
+    if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+      throw new Error('Not a compressed public key');
+    }
+    const x = bytesToBigInt(bytes.subarray(1));
+    const ySquared = mod(x ** 3n + 7n);
+    let y = powMod(ySquared, (P + 1n) / 4n);
+    if (mod(y * y) !== ySquared) {
+      throw new Error('Public key is not on the curve');
+    }
+    if ((y & 1n) !== BigInt(bytes[0] & 1)) y = P - y;
+    return [x, y];
+  }
+
+  const publicKeyOf = (privateKey) => compress(pointMultiply(G, privateKey));
+
+  // ---- Encodings ----
+
+  function base58Encode(bytes) {
+    let value = bytesToBigInt(bytes);
+    let text = '';
+    while (value > 0n) {
+      text = BASE58_ALPHABET[Number(value % 58n)] + text;
+      value /= 58n;
+    }
+    for (const byte of bytes) {
+      if (byte !== 0) break;
+      text = '1' + text;
+    }
+    return text;
+  }
+
+  function base58Decode(text) {
+    let value = 0n;
+    for (const char of text) {
+      const digit = BASE58_ALPHABET.indexOf(char);
+      if (digit === -1) throw new Error(`Invalid Base58 character "${char}"`);
+      value = value * 58n + BigInt(digit);
+    }
+    const zeros = text.match(/^1*/)[0].length;
+    const body = value ? bigIntToBytes(value, Math.ceil(value.toString(16).length / 2)) : new Uint8Array(0);
+    return concat(new Uint8Array(zeros), body);
+  }
+
+  const base58CheckEncode = async (payload) =>
+    base58Encode(concat(payload, (await sha256(await sha256(payload))).subarray(0, 4)));
+
+  async function base58CheckDecode(text) {
+    const bytes = base58Decode(text);
+    const payload = bytes.subarray(0, -4);
+    const checksum = (await sha256(await sha256(payload))).subarray(0, 4);
+    if (bytes.length < 5 || !equalBytes(checksum, bytes.subarray(-4))) {
+      throw new Error('Invalid checksum');
+    }
+    return payload;
+  }
+
+  // BIP173, for witness version 0 programs only
+  function bech32Encode(hrp, version, program) {
+    const polymod = (values) => {
+      const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+      let chk = 1;
+      for (const value of values) {
+        const top = chk >> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ value;
+        generators.forEach((g, i) => {
+          if ((top >> i) & 1) chk ^= g;
+        });
+      }
+      return chk;
+    };
+    const words = [version];
+    let acc = 0;
+    let bits = 0;
+    for (const byte of program) {
+      acc = (acc << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        bits -= 5;
+        words.push((acc >> bits) & 31);
+      }
+    }
+    if (bits) words.push((acc << (5 - bits)) & 31);
+    const expanded = [...hrp].map((c) => c.charCodeAt(0) >> 5)
+      .concat([0], [...hrp].map((c) => c.charCodeAt(0) & 31));
+    const mod32 = polymod(expanded.concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+    const checksum = Array.from({ length: 6 }, (_, i) => (mod32 >> (5 * (5 - i))) & 31);
+    return `${hrp}1${words.concat(checksum).map((w) => BECH32_CHARSET[w]).join('')}`;
+  }
+
+  async function addressesFor(publicKey, network) {
+    const keyHash = await hash160(publicKey);
+    const redeemScript = concat([0x00, 0x14], keyHash);
+    return {
+      p2pkh: await base58CheckEncode(concat([network.pubKeyHash], keyHash)),
+      p2shP2wpkh: await base58CheckEncode(concat([network.scriptHash], await hash160(redeemScript))),
+      p2wpkh: bech32Encode(network.bech32, 0, keyHash)
+    };
+  }
+
+  // ---- BIP39 ----
+
+  let wordlist = null;
+
+  async function loadWordlist() {
+    if (!wordlist) {
+      const response = await fetch('/api/bip47/wordlist');
+      if (!response.ok) throw new Error(`Wordlist unavailable (HTTP ${response.status})`);
+      wordlist = await response.json();
+    }
+    return wordlist;
+  }
+
+  const normalizeMnemonic = (mnemonic) =>
+    String(mnemonic || '').normalize('NFKD').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  // Entropy, then the first ENT/32 bits of its sha256, in 11-bit words
+  async function entropyToWords(entropy, words) {
+    const hash = await sha256(entropy);
+    const bits = Array.from(entropy, (b) => b.toString(2).padStart(8, '0')).join('') +
+      Array.from(hash, (b) => b.toString(2).padStart(8, '0')).join('').slice(0, entropy.length / 4);
+    return bits.match(/.{11}/g).map((chunk) => words[parseInt(chunk, 2)]);
+  }
+
+  async function generateMnemonic(wordCount = 12) {
+    if (![12, 15, 18, 21, 24].includes(wordCount)) {
+      throw new Error('Mnemonics have 12, 15, 18, 21 or 24 words');
+    }
+    const words = await loadWordlist();
+    const entropy = globalThis.crypto.getRandomValues(new Uint8Array(wordCount * 4 / 3));
+    return (await entropyToWords(entropy, words)).join(' ');
+  }
+
+  // Throws on unknown words or a bad checksum, like wallets do
+  async function checkMnemonic(mnemonic) {
+    const words = await loadWordlist();
+    const given = normalizeMnemonic(mnemonic);
+    if (![12, 15, 18, 21, 24].includes(given.length)) {
+      throw new Error(`Mnemonics have 12, 15, 18, 21 or 24 words, got ${given.length}`);
+    }
+    const unknown = given.filter((word) => !words.includes(word));
+    if (unknown.length) {
+      throw new Error(`Not in the BIP39 English wordlist: ${unknown.join(', ')}`);
+    }
+    const bits = given.map((word) => words.indexOf(word).toString(2).padStart(11, '0')).join('');
+    const entropyBits = bits.slice(0, (given.length * 11 * 32) / 33);
+    const entropy = Uint8Array.from(entropyBits.match(/.{8}/g), (byte) => parseInt(byte, 2));
+    if ((await entropyToWords(entropy, words)).join(' ') !== given.join(' ')) {
+      throw new Error('Mnemonic checksum does not match: a word is wrong or out of order');
+    }
+    return given.join(' ');
+  }
+
+  async function mnemonicToSeed(mnemonic, passphrase = '') {
+    const password = encoder.encode(normalizeMnemonic(mnemonic).join(' '));
+    const salt = encoder.encode('mnemonic' + String(passphrase).normalize('NFKD'));
+    const key = await subtle().importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    return new Uint8Array(await subtle().deriveBits({ name: 'PBKDF2', hash: 'SHA-512', salt, iterations: 2048 }, key, 512));
+  }
+
+  // ---- BIP32 ----
+
+  async function masterNode(seed) {
+    const I = await hmacSha512(encoder.encode('Bitcoin seed'), seed);
+    return { privateKey: bytesToBigInt(I.subarray(0, 32)), chainCode: I.subarray(32) };
+  }
+
+  async function childNode({ privateKey, chainCode }, index) {
+    const data = index >= HARDENED
+      ? concat([0x00], bigIntToBytes(privateKey), uint32BE(index))
+      : concat(publicKeyOf(privateKey), uint32BE(index));
+    const I = await hmacSha512(chainCode, data);
+    const tweak = bytesToBigInt(I.subarray(0, 32));
+    const child = mod(tweak + privateKey, N);
+    if (tweak >= N || child === 0n) {
+      throw new Error(`Invalid child at index ${index}`);
+    }
+    return { privateKey: child, chainCode: I.subarray(32) };
+  }
+
+  // Public-only derivation, for the counterparty's payment code
+  async function publicChild(publicKey, chainCode, index) {
+    const I = await hmacSha512(chainCode, concat(publicKey, uint32BE(index)));
+    const tweak = bytesToBigInt(I.subarray(0, 32));
+    if (tweak >= N) throw new Error(`Invalid child at index ${index}`);
+    return compress(pointAdd(pointMultiply(G, tweak), decompress(publicKey)));
+  }
+
+  // ---- BIP47 ----
+
+  const paymentCodePath = (network, account) => `m/47'/${network.coinType}'/${account}'`;
+
+  async function encodePaymentCode(publicKey, chainCode) {
+    // Version 1, no features, 13 reserved zero bytes
+    const payload = concat([0x01, 0x00], publicKey, chainCode, new Uint8Array(13));
+    return base58CheckEncode(concat([0x47], payload));
+  }
+
+  async function decodePaymentCode(text) {
+    let body;
+    try {
+      body = await base58CheckDecode(String(text || '').trim());
+    } catch (error) {
+      throw new Error(`Invalid payment code: ${error.message}`);
+    }
+    if (body.length !== 81 || body[0] !== 0x47 || ![1, 2].includes(body[1])) {
+      throw new Error('Invalid payment code: expected a version 1 or 2 code (PM8T...)');
+    }
+    const publicKey = body.subarray(3, 36);
+    decompress(publicKey);
+    return { publicKey, chainCode: body.subarray(36, 68) };
+  }
+
+  // The wallet at m/47'/coin'/account' and its notification key (child 0)
+  async function deriveWallet({ mnemonic, passphrase = '', account = 0, network = 'bitcoin' }) {
+    const params = NETWORKS[network];
+    if (!params) throw new Error(`Unknown network ${network}`);
+    if (!Number.isInteger(account) || account < 0 || account >= HARDENED) {
+      throw new Error('Account index must be an integer between 0 and 2147483647');
+    }
+
+    let node = await masterNode(await mnemonicToSeed(mnemonic, passphrase));
+    for (const index of [47, params.coinType, account]) {
+      node = await childNode(node, index + HARDENED);
+    }
+    const publicKey = publicKeyOf(node.privateKey);
+    const notification = await childNode(node, 0);
+    const notificationPublicKey = publicKeyOf(notification.privateKey);
+
+    return {
+      network,
+      path: paymentCodePath(params, account),
+      node,
+      paymentCode: await encodePaymentCode(publicKey, node.chainCode),
+      publicKey: toHex(publicKey),
+      chainCode: toHex(node.chainCode),
+      notification: {
+        path: `${paymentCodePath(params, account)}/0`,
+        publicKey: toHex(notificationPublicKey),
+        address: (await addressesFor(notificationPublicKey, params)).p2pkh
+      }
+    };
+  }
+
+  // Addresses the wallet receives on from `senderCode`: S = b_i*A, then
+  // K_i = B_i + sha256(Sx)*G. Indices whose secret is out of range are skipped,
+  // as BIP47 says.
+  async function receiveAddresses(wallet, senderCode, { from = 0, count = 5 } = {}) {
+    const sender = await decodePaymentCode(senderCode);
+    const A = decompress(await publicChild(sender.publicKey, sender.chainCode, 0));
+    const params = NETWORKS[wallet.network];
+    const entries = [];
+    for (let index = from; index < from + count; index++) {
+      const child = await childNode(wallet.node, index);
+      const S = pointMultiply(A, child.privateKey);
+      const secret = bytesToBigInt(await sha256(bigIntToBytes(S[0])));
+      if (secret >= N) {
+        entries.push({ index, skipped: 'Shared secret is outside the curve order' });
+        continue;
+      }
+      // B_i + sha256(Sx)*G is (b_i + sha256(Sx))*G
+      const k = mod(child.privateKey + secret, N);
+      if (k === 0n) {
+        entries.push({ index, skipped: 'Payment key is the point at infinity' });
+        continue;
+      }
+      const publicKey = publicKeyOf(k);
+      entries.push({ index, publicKey: toHex(publicKey), addresses: await addressesFor(publicKey, params) });
+    }
+    return entries;
+  }
+
+  return {
+    NETWORKS: Object.keys(NETWORKS),
+    loadWordlist,
+    generateMnemonic,
+    checkMnemonic,
+    deriveWallet,
+    receiveAddresses
+  };
+})();
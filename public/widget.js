@@ -0,0 +1,466 @@
+// widget.js - Embeddable "Sign in with PayNym" button
+//
+// Include it from this server on any page:
+//
+//   <div data-paynym-widget data-theme="terminal"></div>
+//   <script src="https://<this server>/widget.js"></script>
+//
+// or mount it yourself with PaynymWidget.mount(element, options).
+// The widget runs the Auth47 flow against the server it was loaded from
+// (/widget/start-auth, then /auth-events with /check-auth polling as a
+// fallback) and fires DOM events on the element it is mounted on:
+//
+//   paynym:verified  { paymentCode, nymName, avatar, nonce, proof }
+//   paynym:rejected  { nonce, code, error }  the wallet's proof was refused;
+//                    the QR code stays valid for another try
+//   paynym:failed    { nonce, code, error }  the QR code ran out after the
+//                    wallet's proof was refused (the last rejection)
+//   paynym:expired   { nonce }  the QR code ran out without any proof
+//
+// `proof` is the wallet's signed Auth47 proof of a challenge issued for the
+// embedding page's origin (its r=). It doesn't log anyone in on the widget's
+// server. Your backend must check it itself: the signature, that r= is your
+// origin and e= still in the future, and that it hasn't seen the nonce before.
+//
+// Options (or data- attributes): theme ('terminal', 'light' or 'auto'),
+// label, and server (defaults to where this script was loaded from).
+(function () {
+  const currentScript = document.currentScript;
+  const DEFAULT_SERVER = currentScript && currentScript.src
+    ? new URL(currentScript.src).origin
+    : window.location.origin;
+
+  // Palettes taken from styles.css so the widget matches the terminal look
+  const THEMES = {
+    terminal: {
+      '--pw-bg': '#111811',
+      '--pw-bg-elevated': '#1a241a',
+      '--pw-accent': '#4ade80',
+      '--pw-accent-hover': '#3dd074',
+      '--pw-warning': '#f59e0b',
+      '--pw-error': '#ef4444',
+      '--pw-text': '#dcfce7',
+      '--pw-text-muted': '#6b7280',
+      '--pw-on-accent': '#0a0f0a',
+      '--pw-border': 'rgba(74, 222, 128, 0.3)',
+      '--pw-glow': 'rgba(74, 222, 128, 0.2)'
+    },
+    light: {
+      '--pw-bg': '#ffffff',
+      '--pw-bg-elevated': '#f0fdf4',
+      '--pw-accent': '#16a34a',
+      '--pw-accent-hover': '#15803d',
+      '--pw-warning': '#b45309',
+      '--pw-error': '#dc2626',
+      '--pw-text': '#052e16',
+      '--pw-text-muted': '#6b7280',
+      '--pw-on-accent': '#ffffff',
+      '--pw-border': 'rgba(22, 163, 74, 0.3)',
+      '--pw-glow': 'rgba(22, 163, 74, 0.15)'
+    }
+  };
+
+  const STYLES = `
+    :host {
+      display: block;
+      max-width: 360px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+      color: var(--pw-text);
+    }
+    .pw-card {
+      background: var(--pw-bg);
+      border: 1px solid var(--pw-border);
+      border-radius: 6px;
+      padding: 1rem;
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+      text-align: center;
+    }
+    button, .pw-link {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+      background: var(--pw-accent);
+      color: var(--pw-on-accent);
+      border: 1px solid var(--pw-accent);
+      border-radius: 6px;
+      padding: 0.75rem 1.5rem;
+      font: inherit;
+      font-size: 0.85rem;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      text-decoration: none;
+      cursor: pointer;
+      transition: all 300ms ease;
+    }
+    button:hover:not(:disabled), .pw-link:hover {
+      background: var(--pw-accent-hover);
+      box-shadow: 0 0 20px var(--pw-glow);
+    }
+    button:disabled {
+      opacity: 0.4;
+      cursor: not-allowed;
+    }
+    .pw-link {
+      background: var(--pw-bg-elevated);
+      color: var(--pw-accent);
+      border-color: var(--pw-border);
+    }
+    .pw-link:hover {
+      background: var(--pw-bg-elevated);
+      border-color: var(--pw-accent);
+    }
+    .pw-qr img {
+      width: 100%;
+      max-width: 240px;
+      border: 2px solid var(--pw-border);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .pw-origin {
+      font-family: 'JetBrains Mono', 'Courier New', monospace;
+      font-size: 0.75rem;
+      color: var(--pw-accent);
+      word-break: break-all;
+    }
+    .pw-hint {
+      font-size: 0.7rem;
+      color: var(--pw-text-muted);
+    }
+    .pw-status {
+      font-size: 0.85rem;
+      color: var(--pw-text-muted);
+    }
+    .pw-status.pending { color: var(--pw-warning); }
+    .pw-status.success { color: var(--pw-accent); }
+    .pw-status.error { color: var(--pw-error); }
+    .pw-avatar {
+      width: 64px;
+      height: 64px;
+      border-radius: 50%;
+      border: 2px solid var(--pw-accent);
+      margin: 0 auto;
+      object-fit: cover;
+    }
+    .pw-name {
+      color: var(--pw-accent);
+      font-weight: 600;
+      word-break: break-all;
+    }
+    .spinner {
+      display: inline-block;
+      width: 14px;
+      height: 14px;
+      border: 2px solid var(--pw-border);
+      border-top-color: var(--pw-accent);
+      border-radius: 50%;
+      animation: spin 1s linear infinite;
+      margin-right: 0.5rem;
+      vertical-align: middle;
+    }
+    @keyframes spin {
+      to { transform: rotate(360deg); }
+    }
+    [hidden] { display: none !important; }
+  `;
+
+  const escapeHtml = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+
+  function applyTheme(host, theme) {
+    let palette = THEMES[theme];
+    if (theme === 'auto') {
+      const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+      palette = prefersLight ? THEMES.light : THEMES.terminal;
+    }
+    for (const [name, value] of Object.entries(palette || THEMES.terminal)) {
+      host.style.setProperty(name, value);
+    }
+  }
+
+  // Follow a challenge until it settles; see auth-watch.js for the same logic
+  // used by this site's own pages. Returns a function that stops watching.
+  function watch(server, nonce, binding, onStatus) {
+    let source = null;
+    let pollTimer = null;
+    let done = false;
+    let rejection = null;
+
+    const stop = () => {
+      done = true;
+      if (source) {
+        source.close();
+        source = null;
+      }
+      clearTimeout(pollTimer);
+    };
+
+    const update = (data) => {
+      if (done) return;
+      if (data.rejection) {
+        rejection = data.rejection;
+      }
+      // /check-auth reports unknown or expired nonces as 'invalid'
+      if (data.status === 'invalid') {
+        data = rejection ? { status: 'failed', rejection } : { status: 'expired' };
+      }
+      if (data.status !== 'pending') {
+        stop();
+      }
+      onStatus(data);
+    };
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`${server}/check-auth/${encodeURIComponent(nonce)}`, {
+          headers: { 'X-Auth47-Binding': binding }
+        });
+        update(await response.json());
+      } catch (error) {
+        console.error('PayNym widget poll error:', error);
+      }
+      if (!done) {
+        pollTimer = setTimeout(poll, 2000);
+      }
+    };
+
+    if ('EventSource' in window) {
+      source = new EventSource(
+        `${server}/auth-events/${encodeURIComponent(nonce)}?binding=${encodeURIComponent(binding)}`
+      );
+      source.onmessage = (event) => update(JSON.parse(event.data));
+      source.onerror = () => {
+        if (done) return;
+        source.close();
+        source = null;
+        poll();
+      };
+    } else {
+      poll();
+    }
+
+    return stop;
+  }
+
+  async function lookupNym(server, paymentCode) {
+    try {
+      const response = await fetch(`${server}/api/paynym/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nym: paymentCode })
+      });
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function mount(element, options = {}) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    if (!element) {
+      throw new Error('PaynymWidget.mount: element not found');
+    }
+    if (element.paynymWidget) {
+      return element.paynymWidget;
+    }
+
+    const server = (options.server || element.dataset.server || DEFAULT_SERVER).replace(/\/$/, '');
+    const label = options.label || element.dataset.label || 'Sign in with PayNym';
+    applyTheme(element, options.theme || element.dataset.theme || 'terminal');
+
+    const root = element.shadowRoot || element.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${STYLES}</style>
+      <div class="pw-card">
+        <button type="button" class="pw-start">${escapeHtml(label)}</button>
+        <div class="pw-qr" hidden></div>
+        <div class="pw-result" hidden></div>
+        <div class="pw-status" hidden></div>
+      </div>
+    `;
+
+    const startButton = root.querySelector('.pw-start');
+    const qrDiv = root.querySelector('.pw-qr');
+    const resultDiv = root.querySelector('.pw-result');
+    const statusDiv = root.querySelector('.pw-status');
+
+    let stopWatching = null;
+    let expiryTimer = null;
+
+    const emit = (name, detail) => {
+      element.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    };
+
+    const setStatus = (className, html) => {
+      statusDiv.className = `pw-status ${className}`;
+      statusDiv.innerHTML = html;
+      statusDiv.hidden = false;
+    };
+
+    const stop = () => {
+      if (stopWatching) {
+        stopWatching();
+        stopWatching = null;
+      }
+      clearTimeout(expiryTimer);
+    };
+
+    const finish = (className, message) => {
+      stop();
+      qrDiv.hidden = true;
+      setStatus(className, message);
+      startButton.disabled = false;
+    };
+
+    const showVerified = async (data, nonce) => {
+      finish('success', '✅ Signed in');
+
+      const paynym = await lookupNym(server, data.paymentCode);
+      const nymName = (paynym && paynym.nymName) || null;
+      // The server redirects to the avatar in whichever directory it uses
+      const avatar = `${server}/api/paynym/avatar/${encodeURIComponent(data.paymentCode)}`;
+
+      resultDiv.innerHTML = `
+        <img class="pw-avatar" alt="PayNym avatar">
+        <div class="pw-name"></div>
+      `;
+      const avatarImg = resultDiv.querySelector('.pw-avatar');
+      avatarImg.src = avatar;
+      avatarImg.onerror = () => { avatarImg.hidden = true; };
+      resultDiv.querySelector('.pw-name').textContent = nymName || data.paymentCode;
+      resultDiv.hidden = false;
+      startButton.hidden = true;
+
+      emit('paynym:verified', {
+        paymentCode: data.paymentCode,
+        nymName,
+        avatar,
+        nonce,
+        proof: {
+          auth47_response: '1.0',
+          challenge: data.challenge,
+          nym: data.nym,
+          signature: data.signature
+        }
+      });
+    };
+
+    async function start() {
+      stop();
+      startButton.disabled = true;
+      startButton.hidden = false;
+      resultDiv.hidden = true;
+      qrDiv.hidden = true;
+      setStatus('', '<span class="spinner"></span>Generating...');
+
+      try {
+        const response = await fetch(`${server}/widget/start-auth`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok || data.error) {
+          throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const { nonce, binding, uri } = data;
+
+        qrDiv.innerHTML = `
+          <img alt="Auth47 QR code">
+          <div class="pw-hint">🔒 Logging in to:</div>
+          <div class="pw-origin"></div>
+          <a class="pw-link">Open in wallet</a>
+          <div class="pw-hint">Only sign if your wallet shows this site.</div>
+        `;
+        const qrImg = qrDiv.querySelector('img');
+        qrImg.src = data.qr;
+        qrImg.onclick = () => { window.location.href = uri; };
+        qrDiv.querySelector('.pw-origin').textContent = data.origin;
+        qrDiv.querySelector('.pw-link').href = uri;
+        qrDiv.hidden = false;
+
+        setStatus('pending', '<span class="spinner"></span>Waiting for wallet...');
+
+        // The QR code ran out: `failed` if the wallet's last proof was
+        // refused, otherwise `expired`
+        let lastRejection = null;
+        const end = () => {
+          if (lastRejection) {
+            finish('error', `⌛ QR code expired: ${escapeHtml(lastRejection.error)}`);
+            emit('paynym:failed', { nonce, ...lastRejection });
+          } else {
+            finish('error', '⌛ QR code expired');
+            emit('paynym:expired', { nonce });
+          }
+        };
+
+        // The challenge stays open after a rejected proof, so the wallet can
+        // try again; tell the page about each new rejection
+        stopWatching = watch(server, nonce, binding, (status) => {
+          if (status.status === 'pending') {
+            const changed = status.rejection &&
+              JSON.stringify(status.rejection) !== JSON.stringify(lastRejection);
+            if (changed) {
+              lastRejection = status.rejection;
+              setStatus('pending', `<span class="spinner"></span>⚠️ ${escapeHtml(status.rejection.error)} Waiting for wallet...`);
+              emit('paynym:rejected', { nonce, ...status.rejection });
+            }
+            return;
+          }
+
+          if (status.status === 'verified') {
+            showVerified(status, nonce);
+          } else {
+            lastRejection = status.rejection || lastRejection;
+            end();
+          }
+        });
+
+        // The stream reports expiry too, but don't rely on it being open
+        expiryTimer = setTimeout(end, (data.expiry * 1000 - Date.now()) + 2000);
+
+      } catch (error) {
+        finish('error', `❌ ${escapeHtml(error.message)}`);
+      }
+    }
+
+    startButton.addEventListener('click', start);
+
+    const widget = {
+      start,
+      // Back to the initial button
+      reset() {
+        stop();
+        qrDiv.hidden = true;
+        resultDiv.hidden = true;
+        statusDiv.hidden = true;
+        startButton.hidden = false;
+        startButton.disabled = false;
+      },
+      destroy() {
+        stop();
+        root.innerHTML = '';
+        delete element.paynymWidget;
+      }
+    };
+    element.paynymWidget = widget;
+    return widget;
+  }
+
+  window.PaynymWidget = { mount, themes: [...Object.keys(THEMES), 'auto'] };
+
+  const mountAll = () => {
+    document.querySelectorAll('[data-paynym-widget]').forEach((element) => mount(element));
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountAll);
+  } else {
+    mountAll();
+  }
+})();
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// scripts/bip47-vectors.js - Check the Lab's BIP47 endpoints against the
+// published test vectors
+//
+// Mounts lib/bip47-lab.js on a throwaway local port and calls it the way the
+// Lab page does, then compares the answers with the values from the BIP47
+// test vectors (Alice notifies and pays Bob):
+//
+//   npm run bip47-vectors
+//
+// Exits non-zero when any value differs, so it can gate a deploy.
+
+import assert from 'assert/strict';
+import express from 'express';
+import ecc from '@bitcoinerlab/secp256k1';
+import { BIP47Factory } from '@samouraiwallet/bip47';
+import { createBip47Lab } from '../lib/bip47-lab.js';
+
+const ALICE = {
+  paymentCode: 'PM8TJTLJbPRGxSbc8EJi42Wrr6QbNSaSSVJ5Y3E4pbCYiTHUskHg13935Ubb7q8tx9GVbh2UuRnBc3WSyJHhUrw8KhprKnn9eDznYGieTzFcwQRya4GA',
+  notificationAddress: '1JDdmqFLhpzcUwPeinhJbUPw4Co3aWLyzW'
+};
+
+const BOB = {
+  paymentCode: 'PM8TJS2JxQ5ztXUpBBRnpTbcUXbUHy2T1abfrb3KkAAtMEGNbey4oumH7Hc578WgQJhPjBxteQ5GHHToTYHE3A1w6p7tU6KSoFmWBVbFGjKPisZDbP97',
+  notificationAddress: '1ChvUUvht2hUQufHBXF8NgLhW8SwE2ecGV',
+  notificationKey: '04448fd1be0c9c13a5ca0b530e464b619dc091b299b98c5cab9978b32b4a1b8b'
+};
+
+// Alice's notification transaction to Bob
+const NOTIFICATION = {
+  outpoint: '86f411ab1c8e70ae8a0795ab7a6757aea6e4d5ae1826fc7b8f00c597d500609c01000000',
+  designatedKey: '1b7a10f45118e2519a8dd46ef81591c1ae501d082b6610fdda3de7a3c932880d',
+  payload: '010002063e4eb95e62791b06c50e1a3a942e1ecaaa9afbbeb324d16ae6821e091611fa96c0cf048f607fe51a0327f5e2528979311c78cb2de0d682c61e1180fc3d543b00000000000000000000000000',
+  tx: '010000000186f411ab1c8e70ae8a0795ab7a6757aea6e4d5ae1826fc7b8f00c597d500609c010000006b483045022100ac8c6dbc482c79e86c18928a8b364923c774bfdbd852059f6b3778f2319b59a7022029d7cc5724e2f41ab1fcfc0ba5a0d4f57ca76f72f19530ba97c860c70a6bf0a801210272d83d8a1fa323feab1c085157a0791b46eba34afb8bfbfaeb3a3fcc3f2c9ad8ffffffff0210270000000000001976a9148066a8e7ee82e5c5b9b7dc1765038340dc5420a988ac1027000000000000536a4c50010002063e4eb95e62791b06c50e1a3a942e1ecaaa9afbbeb324d16ae6821e091611fa96c0cf048f607fe51a0327f5e2528979311c78cb2de0d682c61e1180fc3d543b0000000000000000000000000000000000'
+};
+
+// Bob's first payment addresses from Alice, with the ECDH shared secrets
+// behind them
+const PAYMENTS = [
+  {
+    index: 0,
+    sharedSecret: 'f5bb84706ee366052471e6139e6a9a969d586e5fe6471a9b96c3d8caefe86fef',
+    address: '141fi7TY3h936vRUKh1qfUZr8rSBuYbVBK'
+  },
+  {
+    index: 1,
+    sharedSecret: 'adfb9b18ee1c4460852806a8780802096d67a8c1766222598dc801076beb0b4d',
+    address: '12u3Uued2fuko2nY4SoSFGCoGLCBUGPkk6'
+  }
+];
+
+async function call(base, method, path, body) {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200, `${method} ${path}: HTTP ${response.status} ${data.error || ''}`);
+  return data;
+}
+
+const checks = [
+  ['notification addresses', async (base) => {
+    for (const wallet of [ALICE, BOB]) {
+      const data = await call(base, 'GET',
+        `/api/bip47/notification-address?paymentCode=${wallet.paymentCode}`);
+      assert.equal(data.notificationAddress, wallet.notificationAddress);
+    }
+  }],
+
+  ['notification payload', async (base) => {
+    const data = await call(base, 'POST', '/api/bip47/notification/payload', {
+      sender: ALICE.paymentCode,
+      receiver: BOB.paymentCode,
+      outpoint: NOTIFICATION.outpoint,
+      privateKey: NOTIFICATION.designatedKey
+    });
+    assert.equal(data.payload, NOTIFICATION.payload);
+    assert.equal(data.outputs[0].address, BOB.notificationAddress);
+  }],
+
+  ['notification decode', async (base) => {
+    const data = await call(base, 'POST', '/api/bip47/notification/decode', {
+      tx: NOTIFICATION.tx,
+      notificationKey: BOB.notificationKey
+    });
+    assert.equal(data.payload, NOTIFICATION.payload);
+    assert.equal(data.sender.paymentCode, ALICE.paymentCode);
+    assert.equal(data.recipientNotificationAddress, BOB.notificationAddress);
+    assert.notEqual(data.notificationOutput, null);
+  }],
+
+  ['payment addresses', async (base) => {
+    const data = await call(base, 'POST', '/api/bip47/derive', {
+      sender: ALICE.paymentCode,
+      receiver: BOB.paymentCode,
+      from: 0,
+      count: PAYMENTS.length
+    });
+    assert.equal(data.match, true, 'Alice and Bob derive different keys');
+    for (const { index, sharedSecret, address } of PAYMENTS) {
+      for (const side of [data.sending[index], data.receiving[index]]) {
+        assert.equal(side.sharedSecret, sharedSecret);
+        assert.equal(side.addresses.p2pkh, address);
+      }
+    }
+  }]
+];
+
+async function main() {
+  const app = express();
+  app.use(express.json());
+  app.use(createBip47Lab({ bip47: BIP47Factory(ecc), ecc }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check(base);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+  server.close();
+
+  if (failures) {
+    console.error(`\n💥 ${failures} of ${checks.length} checks differ from the BIP47 test vectors`);
+    process.exit(1);
+  }
+  console.log(`\n🎉 All ${checks.length} checks match the BIP47 test vectors`);
+}
+
+main().catch((error) => {
+  console.error('💥 Test vector check failed:', error.message);
+  process.exit(1);
+});
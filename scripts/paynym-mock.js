@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+// scripts/paynym-mock.js - Offline stand-in for the paynym.rs directory
+//
+// Serves the API described in paynym-api.md from fixture nyms
+// (scripts/fixtures/paynyms.json) so the explorer, guestbook and login pages
+// work without internet access:
+//
+//   npm run paynym-mock
+//   PAYNYM_API_URL=http://localhost:4747 npm start
+//
+// Fixtures cover claimed and unclaimed codes, several codes on one nym and
+// followers/following in both directions; a nym's `fans` adds that many
+// generated followers for pagination. State lives in memory: nyms created,
+// claimed or followed through the API are gone on restart.
+//
+// These nym values trigger upstream misbehaviour instead of a lookup:
+//   empty    200 with an empty body
+//   error    500 with a JSON error body
+//   garbled  200 with an HTML body
+//   slow     the first fixture nym, after 3 seconds
+//
+// Authenticated calls (claim, follow, unfollow, nym/add) check the
+// auth-token header against a token from /create or /token and the signature
+// of that token by the primary code's notification address, like the real
+// service. Tokens are single use.
+
+import { parseArgs } from 'util';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import ecc from '@bitcoinerlab/secp256k1';
+import { BIP47Factory } from '@samouraiwallet/bip47';
+import bitcoinMessage from 'bitcoinjs-message';
+
+const bip47 = BIP47Factory(ecc);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_PORT = 4747;
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'paynyms.json');
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const SLOW_MS = 3000;
+
+const USAGE = `Usage: node scripts/paynym-mock.js [options]
+
+Options:
+  -p, --port <port>       listen here (default: PAYNYM_MOCK_PORT or ${DEFAULT_PORT})
+  -f, --fixtures <file>   fixture nyms (default: scripts/fixtures/paynyms.json)
+  -h, --help              show this help`;
+
+// Stable made-up identifiers, so links keep working across restarts
+const digest = (text) => crypto.createHash('sha256').update(`paynym-mock:${text}`).digest();
+const nymIdFor = (nymName) => digest(`nymID:${nymName}`).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 20);
+const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+const ADJECTIVES = ['silent', 'little', 'snowy', 'crimson', 'hidden', 'quiet', 'wild', 'brave'];
+const NOUNS = ['voice', 'sea', 'pine', 'river', 'fox', 'comet', 'harbor', 'meadow'];
+
+// { nyms: Map nymID -> nym, tokens: Map token -> { code, expiresAt } }
+function createDirectory(fixtures) {
+  const nyms = new Map();
+  const tokens = new Map();
+
+  const addNym = ({ nymName, codes, following = [] }) => {
+    const nym = {
+      nymID: nymIdFor(nymName),
+      nymName,
+      codes: codes.map(({ code, claimed = false, segwit = false }) => ({ code, claimed, segwit })),
+      // nymNames until every fixture is loaded, then nymIDs
+      following: [...following]
+    };
+    nyms.set(nym.nymID, nym);
+    return nym;
+  };
+
+  for (const fixture of fixtures.nyms) {
+    addNym(fixture);
+    for (let i = 1; i <= (fixture.fans || 0); i++) {
+      const nymName = `${fixture.nymName}fan${String(i).padStart(2, '0')}`;
+      addNym({
+        nymName,
+        codes: [{ code: bip47.fromSeed(digest(nymName)).toBase58(), claimed: true, segwit: i % 2 === 0 }],
+        following: [fixture.nymName]
+      });
+    }
+  }
+  const byName = new Map([...nyms.values()].map((nym) => [nym.nymName, nym.nymID]));
+  for (const nym of nyms.values()) {
+    nym.following = nym.following.map((name) => {
+      if (!byName.has(name)) throw new Error(`Fixture ${nym.nymName} follows unknown nym ${name}`);
+      return byName.get(name);
+    });
+  }
+
+  const find = (value) => {
+    const key = String(value || '').trim().replace(/^\+/, '');
+    if (nyms.has(key)) return nyms.get(key);
+    for (const nym of nyms.values()) {
+      if (nym.nymName === key || nym.codes.some((entry) => entry.code === key)) return nym;
+    }
+    return null;
+  };
+
+  const issueToken = (code) => {
+    const token = newToken();
+    tokens.set(token, { code, expiresAt: Date.now() + TOKEN_TTL_MS });
+    return token;
+  };
+
+  return {
+    nyms,
+    find,
+    issueToken,
+
+    // The nym record as /api/v1/nym returns it
+    describe(nym) {
+      return {
+        codes: nym.codes.map((entry) => ({ ...entry })),
+        followers: [...nyms.values()]
+          .filter((other) => other.following.includes(nym.nymID))
+          .map((other) => ({ nymId: other.nymID })),
+        following: nym.following.map((nymId) => ({ nymId })),
+        nymID: nym.nymID,
+        nymName: nym.nymName
+      };
+    },
+
+    // New nyms get a made-up name like paynym.rs does
+    create(code) {
+      const hash = digest(code);
+      return addNym({
+        nymName: `${ADJECTIVES[hash[0] % ADJECTIVES.length]}${NOUNS[hash[1] % NOUNS.length]}${hash.toString('hex').slice(0, 3)}`,
+        codes: [{ code, claimed: false, segwit: true }]
+      });
+    },
+
+    // Single use: the token is gone whether or not the signature checks out
+    takeToken(token) {
+      const record = tokens.get(token);
+      tokens.delete(token);
+      return record && record.expiresAt > Date.now() ? record.code : null;
+    }
+  };
+}
+
+const validPaymentCode = (code) => {
+  try {
+    bip47.fromBase58(String(code));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// The token signed with the code's notification key, as wallets sign Auth47
+function signatureMatches(code, token, signature) {
+  try {
+    return bitcoinMessage.verify(token, bip47.fromBase58(code).getNotificationAddress(), signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+function createMockApp(directory) {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    console.log(`🎭 ${req.method} ${req.path}`);
+    next();
+  });
+
+  const badRequest = (res, message = 'Bad request') => res.status(400).json({ message });
+  const notFound = (res, message = 'Nym not found') => res.status(404).json({ message });
+  const unauthorized = (res) =>
+    res.status(401).json({ message: 'Unauthorized token or signature or Unclaimed payment code' });
+
+  // Resolves the caller of an authenticated request to [nym, code], or
+  // answers the request and resolves to null
+  const authenticate = (req, res, { requireClaimed = true } = {}) => {
+    const code = directory.takeToken(req.get('auth-token'));
+    if (!code || !req.body.signature || !signatureMatches(code, req.get('auth-token'), req.body.signature)) {
+      unauthorized(res);
+      return null;
+    }
+    const nym = directory.find(code);
+    const entry = nym && nym.codes.find((c) => c.code === code);
+    if (!entry || (requireClaimed && !entry.claimed)) {
+      unauthorized(res);
+      return null;
+    }
+    return [nym, entry];
+  };
+
+  app.post(['/api/v1/nym', '/api/v1/nym/'], async (req, res) => {
+    const { nym } = req.body;
+    if (!nym || typeof nym !== 'string') return badRequest(res);
+
+    switch (nym) {
+      case 'empty':
+        return res.status(200).send('');
+      case 'error':
+        return res.status(500).json({ message: 'Internal server error' });
+      case 'garbled':
+        return res.status(200).type('html').send('<html><body>502 Bad Gateway</body></html>');
+      case 'slow':
+        await new Promise((resolve) => setTimeout(resolve, SLOW_MS));
+        return res.json(directory.describe(directory.nyms.values().next().value));
+    }
+
+    const found = directory.find(nym);
+    if (!found) return notFound(res);
+    res.json(directory.describe(found));
+  });
+
+  app.post(['/api/v1/create', '/api/v1/create/'], (req, res) => {
+    const { code } = req.body;
+    if (!validPaymentCode(code)) return badRequest(res);
+
+    const existing = directory.find(code);
+    const nym = existing || directory.create(code);
+    const entry = nym.codes.find((c) => c.code === code);
+    res.status(existing ? 200 : 201).json({
+      claimed: entry.claimed,
+      nymID: nym.nymID,
+      nymName: nym.nymName,
+      segwit: entry.segwit,
+      token: directory.issueToken(code)
+    });
+  });
+
+  app.post(['/api/v1/token', '/api/v1/token/'], (req, res) => {
+    const { code } = req.body;
+    if (!validPaymentCode(code)) return badRequest(res);
+    if (!directory.find(code)) return notFound(res, 'Payment code not found');
+    res.json({ token: directory.issueToken(code) });
+  });
+
+  app.post(['/api/v1/claim', '/api/v1/claim/'], (req, res) => {
+    if (!req.body.signature) return badRequest(res);
+    const caller = authenticate(req, res, { requireClaimed: false });
+    if (!caller) return;
+    const [, entry] = caller;
+    entry.claimed = true;
+    res.json({ claimed: entry.code, token: directory.issueToken(entry.code) });
+  });
+
+  const followRoute = (follow) => (req, res) => {
+    const { target, signature } = req.body;
+    if (!target || !signature) return badRequest(res);
+    const caller = authenticate(req, res);
+    if (!caller) return;
+    const [nym, entry] = caller;
+    const targetNym = directory.find(target);
+    if (!targetNym) return notFound(res, 'Payment code not found');
+
+    nym.following = nym.following.filter((id) => id !== targetNym.nymID);
+    if (follow) nym.following.push(targetNym.nymID);
+    res.json({
+      follower: nym.nymID,
+      [follow ? 'following' : 'unfollowing']: targetNym.nymID,
+      token: directory.issueToken(entry.code)
+    });
+  };
+  app.post(['/api/v1/follow', '/api/v1/follow/'], followRoute(true));
+  app.post(['/api/v1/unfollow', '/api/v1/unfollow/'], followRoute(false));
+
+  app.post(['/api/v1/nym/add', '/api/v1/nym/add/'], (req, res) => {
+    const { nym: nymValue, code, signature } = req.body;
+    if (!nymValue || !validPaymentCode(code) || !signature) return badRequest(res);
+    const caller = authenticate(req, res);
+    if (!caller) return;
+    const [callerNym, callerEntry] = caller;
+    const nym = directory.find(nymValue);
+    if (!nym) return notFound(res);
+    if (nym !== callerNym) return unauthorized(res);
+
+    if (!nym.codes.some((c) => c.code === code)) {
+      nym.codes.push({ code, claimed: false, segwit: true });
+    }
+    res.json({ code, segwit: true, token: directory.issueToken(callerEntry.code) });
+  });
+
+  // Avatars: a generated pattern per payment code
+  app.get('/:code/avatar', (req, res) => {
+    const hash = digest(req.params.code);
+    const color = (offset) => `hsl(${hash[offset] * 360 / 256}, 70%, 55%)`;
+    const cells = [];
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 3; x++) {
+        if (hash[2 + y * 3 + x] & 1) {
+          cells.push(`<rect x="${x * 20}" y="${y * 20}" width="20" height="20"/>`);
+          if (x < 2) cells.push(`<rect x="${(4 - x) * 20}" y="${y * 20}" width="20" height="20"/>`);
+        }
+      }
+    }
+    res.type('image/svg+xml').send(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">` +
+      `<rect width="100" height="100" fill="#0a0e27"/><g fill="${color(0)}">${cells.join('')}</g></svg>`
+    );
+  });
+
+  app.use((req, res) => notFound(res, 'Not found'));
+  return app;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      options: {
+        port: { type: 'string', short: 'p' },
+        fixtures: { type: 'string', short: 'f' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }).values;
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = parseInt(args.port || process.env.PAYNYM_MOCK_PORT, 10) || DEFAULT_PORT;
+  const fixturesPath = args.fixtures || DEFAULT_FIXTURES;
+  let directory;
+  try {
+    directory = createDirectory(JSON.parse(fs.readFileSync(fixturesPath, 'utf8')));
+  } catch (error) {
+    console.error(`❌ Could not load fixtures from ${fixturesPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  createMockApp(directory).listen(port, () => {
+    console.log(`🎭 Mock Paynym directory on http://localhost:${port} (${directory.nyms.size} nyms)`);
+    console.log(`   Point the server at it with PAYNYM_API_URL=http://localhost:${port}`);
+  });
+}
+
+main();
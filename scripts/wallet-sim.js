@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// scripts/wallet-sim.js - Auth47 wallet simulator for local end-to-end testing
+//
+// Signs an auth47:// challenge (as printed by /start-auth) with the BIP47
+// notification key of a test mnemonic and POSTs the proof the way a wallet
+// would, so /verify and POST /callback can be exercised without a phone.
+//
+//   npm run wallet-sim -- 'auth47://<nonce>?c=...&e=...&r=...'
+//   npm run wallet-sim -- --style r --mode replay '<uri>'
+//   npm run wallet-sim -- --sign '<paynym token>'
+//
+// Run with --help for all options. Never use a real wallet's mnemonic here.
+
+import { parseArgs } from 'util';
+import ecc from '@bitcoinerlab/secp256k1';
+import { BIP47Factory } from '@samouraiwallet/bip47';
+import bip39 from 'bip39';
+import bitcoinMessage from 'bitcoinjs-message';
+
+const bip47 = BIP47Factory(ecc);
+
+// Alice's seed from the BIP47 test vectors
+const TEST_MNEMONIC = 'response seminar brave tip suit recall often sound stick owner lottery motion';
+
+const MODES = ['valid', 'expired', 'replay', 'wrong-key'];
+const STYLES = ['c', 'r'];
+
+const USAGE = `Usage: node scripts/wallet-sim.js [options] <auth47 uri>
+       node scripts/wallet-sim.js [options] --sign <message>
+
+Options:
+  -m, --mnemonic <words>  BIP39 test mnemonic (default: BIP47 test vector "Alice")
+      --mode <mode>       valid | expired | replay | wrong-key (default: valid)
+                            expired    rewrite e= into the past before signing
+                            replay     submit the same valid proof twice
+                            wrong-key  sign with another wallet's key but claim this nym
+  -s, --style <style>     c | r: POST to the c= callback like Samourai/Ashigaru,
+                          or to the r= resource like spec-style wallets (default: c)
+  -u, --url <url>         POST here instead (e.g. http://localhost:3000/verify)
+      --dry-run           print the proof without sending it
+      --sign <message>    only sign a message (e.g. a PayNym token from the
+                          explorer) with the notification key and print it
+  -h, --help              show this help`;
+
+function fail(message) {
+  console.error(`❌ ${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+// Notification key pair of a mnemonic's BIP47 payment code (account 0)
+function walletFromMnemonic(mnemonic) {
+  if (!bip39.validateMnemonic(mnemonic)) {
+    fail('Invalid BIP39 mnemonic');
+  }
+  const paymentCode = bip47.fromSeed(bip39.mnemonicToSeedSync(mnemonic));
+  return {
+    paymentCode: paymentCode.toBase58(),
+    notificationAddress: paymentCode.getNotificationAddress(),
+    privateKey: Buffer.from(paymentCode.getNotificationPrivateKey())
+  };
+}
+
+// Auth47 proofs answer the challenge without its c= parameter (the callback
+// only tells the wallet where to send the proof)
+const challengeFromUri = (uri) => uri
+  .replace(/([?&])c=[^&]*(&|$)/, '$1')
+  .replace(/[?&]$/, '');
+
+// Sign with the Bitcoin Signed Message format wallets use for Auth47
+const signChallenge = (challenge, privateKey) =>
+  bitcoinMessage.sign(challenge, privateKey, true).toString('base64');
+
+async function submit(url, proof) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(proof),
+    // POST /callback answers with a redirect to callback.html; show it
+    redirect: 'manual'
+  });
+
+  const location = response.headers.get('location');
+  const text = await response.text();
+  let body = text;
+  try {
+    body = JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    // Not JSON
+  }
+
+  console.log(`📥 HTTP ${response.status}${location ? ` → ${location}` : ''}`);
+  if (body && !location) {
+    console.log(body);
+  }
+  return response;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        mnemonic: { type: 'string', short: 'm', default: TEST_MNEMONIC },
+        mode: { type: 'string', default: 'valid' },
+        style: { type: 'string', short: 's', default: 'c' },
+        url: { type: 'string', short: 'u' },
+        'dry-run': { type: 'boolean', default: false },
+        sign: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values.sign !== undefined) {
+    const wallet = walletFromMnemonic(values.mnemonic);
+    console.log(`🔑 Payment code: ${wallet.paymentCode}`);
+    console.log(`📬 Notification address: ${wallet.notificationAddress}`);
+    console.log(`✍️  Signature:\n${signChallenge(values.sign, wallet.privateKey)}`);
+    return;
+  }
+
+  const [uri] = positionals;
+  if (!uri || !uri.startsWith('auth47://')) {
+    fail('Pass the auth47:// URI printed by /start-auth');
+  }
+  if (!MODES.includes(values.mode)) {
+    fail(`--mode must be one of: ${MODES.join(', ')}`);
+  }
+  if (!STYLES.includes(values.style)) {
+    fail(`--style must be one of: ${STYLES.join(', ')}`);
+  }
+
+  const challengeUrl = new URL(uri);
+  const target = values.url || challengeUrl.searchParams.get(values.style);
+  if (!target) {
+    fail(`The challenge has no ${values.style}= parameter; pass --url`);
+  }
+
+  const wallet = walletFromMnemonic(values.mnemonic);
+  console.log(`🔑 Payment code: ${wallet.paymentCode}`);
+  console.log(`📬 Notification address: ${wallet.notificationAddress}`);
+
+  // Keep the URI verbatim (wallets don't re-encode it) except where a mode
+  // tampers with it
+  let challenge = challengeFromUri(uri);
+  if (values.mode === 'expired') {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    challenge = challenge.replace(/([?&]e=)\d+/, `$1${past}`);
+    console.log(`⏰ Rewrote expiry to ${past}`);
+  }
+
+  let signingKey = wallet.privateKey;
+  if (values.mode === 'wrong-key') {
+    const other = walletFromMnemonic(bip39.generateMnemonic());
+    signingKey = other.privateKey;
+    console.log(`🎭 Signing with another wallet's key (${other.notificationAddress})`);
+  }
+
+  const proof = {
+    auth47_response: '1.0',
+    challenge,
+    nym: wallet.paymentCode,
+    signature: signChallenge(challenge, signingKey)
+  };
+
+  console.log(`📝 Proof:\n${JSON.stringify(proof, null, 2)}`);
+  if (values['dry-run']) {
+    return;
+  }
+
+  console.log(`\n📤 POST ${target} (${values.style}= style)`);
+  await submit(target, proof);
+
+  if (values.mode === 'replay') {
+    console.log(`\n🔁 Replaying the same proof`);
+    await submit(target, proof);
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 Wallet simulator failed:', error.message);
+  process.exit(1);
+});
@@ -1,7 +1,7 @@
 // server.js - Manual BIP47 Auth47 implementation
 import express from 'express';
 import cors from 'cors';
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import ecc from '@bitcoinerlab/secp256k1';
 import { BIP32Factory } from 'bip32';
 import { BIP47Factory } from '@samouraiwallet/bip47';
@@ -10,6 +10,28 @@ import QRCode from 'qrcode';
 import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createMemoryStore, createMongoStore } from './lib/store.js';
+import { createAuthEvents } from './lib/auth-events.js';
+import { createSessionManager } from './lib/session.js';
+import { buildChallengeUri, createAuth47Pipeline, isNonce, WIDGET_CHALLENGE } from './lib/auth47-verification.js';
+import { createApiClientRegistry, createAuth47Api } from './lib/auth47-api.js';
+import { createWebhookDispatcher } from './lib/webhooks.js';
+import { createAuditLog, requestMetadata } from './lib/audit-log.js';
+import { createClientRegistry, createOidcProvider, loadSigningKey } from './lib/oidc-provider.js';
+import { createBip47Lab } from './lib/bip47-lab.js';
+import { decodePaymentCode } from './lib/payment-code.js';
+import { createPaynymClient } from './lib/paynym-client.js';
+import { createPaynymAccount } from './lib/paynym-account.js';
+import { createGuestbookModeration, PUBLIC_MESSAGE_FILTER } from './lib/guestbook-moderation.js';
+import { createGuestbookEvents } from './lib/guestbook-events.js';
+import { atomFeed, jsonFeed } from './lib/guestbook-feeds.js';
+import {
+  guestbookPayload,
+  normalizeGuestbookMessage,
+  normalizeSignedAt,
+  checkSigningTime,
+  verifyGuestbookEntry
+} from './lib/guestbook-signing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,7 +46,7 @@ let db;
 // Connect to MongoDB
 async function connectToDatabase() {
   try {
-    const client = new MongoClient(MONGODB_URI);
+    const client = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
     await client.connect();
     console.log('✅ Connected to MongoDB');
     db = client.db();
@@ -32,6 +54,20 @@ async function connectToDatabase() {
     // Create index on payment_code for faster lookups
     await db.collection('messages').createIndex({ paymentCode: 1 });
     await db.collection('messages').createIndex({ createdAt: -1 });
+    // A signed message can only be posted once. Replaces the plain
+    // signature index of older deployments; unsigned legacy entries are left
+    // out of it.
+    await db.collection('messages').dropIndex('signature_1').catch(() => {});
+    await db.collection('messages').createIndex({ signature: 1 }, {
+      name: 'signature_unique',
+      unique: true,
+      partialFilterExpression: { signature: { $type: 'string' } }
+    });
+    await db.collection('messages').createIndex({ createdAt: -1, _id: -1 });
+    await db.collection('messages').createIndex({ nymName: 1, createdAt: -1 });
+    await db.collection('messages').createIndex({ message: 'text', nymName: 'text' });
+    await db.collection('messages').createIndex({ threadId: 1, createdAt: 1 });
+    await db.collection('guestbookReactions').createIndex({ messageId: 1, paymentCode: 1, reaction: 1 }, { unique: true });
     console.log('✅ Database indexes created');
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
@@ -40,13 +76,49 @@ async function connectToDatabase() {
   }
 }
 
-// Initialize database connection
-connectToDatabase();
+// Behind a reverse proxy (Railway), set TRUST_PROXY (e.g. 1) so req.ip is the
+// client's address in the audit log rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
-app.use(cors());
+// Other sites may only call what the widget (public/widget.js) and
+// browser-based OpenID Connect clients need, and read the guestbook feeds.
+// Everything else, /start-auth and /session in particular, is for this
+// site's own pages.
+app.use([
+  '/widget/start-auth',
+  '/check-auth',
+  '/auth-events',
+  '/api/paynym/lookup',
+  '/.well-known/openid-configuration',
+  '/oidc/jwks',
+  '/oidc/token',
+  '/oidc/userinfo',
+  '/guestbook/feed.atom',
+  '/guestbook/feed.json'
+], cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Login sessions (see lib/session.js). Set SESSION_SECRET in production so
+// sessions survive restarts and work across instances.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = parseInt(process.env.SESSION_TTL, 10) || 24 * 60 * 60; // 24 hours
+
+if (!process.env.SESSION_SECRET) {
+  console.log('⚠️  SESSION_SECRET not set - using a random secret, sessions end on restart');
+}
+
+const sessions = createSessionManager({
+  secret: SESSION_SECRET,
+  ttl: SESSION_TTL,
+  secure: process.env.NODE_ENV === 'production'
+});
+
+app.use(sessions.middleware());
+
 // Initialize BIP32 and BIP47 with ECC
 const bip32 = BIP32Factory(ecc);
 const bip47 = BIP47Factory(ecc);
@@ -54,41 +126,174 @@ const bip47 = BIP47Factory(ecc);
 // Dynamic callback URL for production deployment
 const CALLBACK_URL = process.env.CALLBACK_URL || `http://localhost:${PORT}/callback`;
 
-// Initialize Auth47 Verifier (constructor expects ecc first, then callback URL)
-const verifier = new Auth47Verifier(ecc, CALLBACK_URL);
+// Origin users are logging in to. Wallets display the challenge's r= resource,
+// and proofs whose c=/r= point anywhere else are rejected.
+const SITE_ORIGIN = new URL(CALLBACK_URL).origin;
+
+// Initialize Auth47 Verifier (0.5.x takes only the callback URL and brings its
+// own secp256k1)
+const verifier = new Auth47Verifier(CALLBACK_URL);
+
+// API client challenges (lib/auth47-api.js) name their own callback, so they
+// get a verifier constructed for it
+const clientVerifiers = new Map();
+
+function verifierFor(auth) {
+  if (!auth.callback || auth.callback === CALLBACK_URL) {
+    return verifier;
+  }
+  if (!clientVerifiers.has(auth.callback)) {
+    clientVerifiers.set(auth.callback, new Auth47Verifier(auth.callback));
+  }
+  return clientVerifiers.get(auth.callback);
+}
+
+
+// Auth47 challenges are valid for 5 minutes
+const AUTH_CHALLENGE_TTL = 300;
 
+// Pending authentications, keyed by nonce (see lib/store.js).
+// AUTH_STORE=mongo|memory picks the backend; by default MongoDB is used
+// whenever the database is reachable so challenges survive restarts and can
+// be shared between instances.
+let pendingAuths;
 
-// Store pending authentications (use Redis/DB in production)
-const pendingAuths = new Map();
+// Create an expiring store (lib/store.js) on the AUTH_STORE backend, using
+// the named collection when that is MongoDB
+async function createExpiringStore(collectionName) {
+  const backend = process.env.AUTH_STORE || (db ? 'mongo' : 'memory');
+
+  if (backend === 'mongo' && !db) {
+    throw new Error('AUTH_STORE=mongo requires a MongoDB connection');
+  }
+
+  const store = backend === 'mongo'
+    ? createMongoStore(db.collection(collectionName))
+    : createMemoryStore();
+  await store.init();
+
+  console.log(`✅ ${collectionName} stored in ${store.backend}`);
+  return store;
+}
+
+// Status updates for /auth-events/:nonce streams
+const authEvents = createAuthEvents();
+
+// New entries for /api/guestbook/events streams
+const guestbookEvents = createGuestbookEvents();
+
+// Challenge lifecycle audit log (see lib/audit-log.js), created once the
+// database connection is known
+let auditLog;
+
+// Payment codes allowed to moderate the guestbook at /admin/guestbook
+// (comma-separated GUESTBOOK_MODERATORS). Moderation needs the database, so
+// the console is created once the connection is known.
+const GUESTBOOK_MODERATORS = (process.env.GUESTBOOK_MODERATORS || '')
+  .split(',')
+  .map((code) => code.trim())
+  .filter((code) => {
+    if (!code) return false;
+    try {
+      bip47.fromBase58(code);
+      return true;
+    } catch (error) {
+      console.error(`⚠️  Ignoring invalid GUESTBOOK_MODERATORS entry ${code}: ${error.message}`);
+      return false;
+    }
+  });
+let guestbookModeration;
+
+// Shared /verify and POST /callback pipeline (see lib/auth47-verification.js),
+// created once the auth store is ready
+let authPipeline;
+
+// How often an open status stream re-reads the store (catches challenges
+// settled by another instance) and sends a keep-alive comment
+const AUTH_EVENTS_REFRESH_MS = 5000;
+
+// Each challenge is bound to a secret handed to the browser that requested it
+// (see /start-auth). Only requests presenting that secret, via the
+// X-Auth47-Binding header or ?binding= (EventSource can't set headers), may
+// read the verified identity or turn it into a session. This stops a relayed
+// QR code from leaking the victim's login to whoever relayed it.
+const hashBinding = (binding) => crypto.createHash('sha256').update(binding).digest('hex');
+
+function isBoundRequest(req, auth) {
+  const binding = req.get('X-Auth47-Binding') || req.query.binding;
+  if (typeof binding !== 'string' || !binding || !auth.bindingHash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(auth.bindingHash, 'hex');
+  const actual = Buffer.from(hashBinding(binding), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public view of a pending auth, shared by /check-auth and /auth-events.
+// Browsers that didn't start the challenge only learn its status.
+function authStatusPayload(auth, bound) {
+  if (auth.verified && !bound) {
+    return { status: 'verified' };
+  }
+  
+  if (auth.verified) {
+    return {
+      status: 'verified',
+      nym: auth.nym,
+      paymentCode: auth.paymentCode,
+      challenge: auth.challenge,
+      signature: auth.signature
+    };
+  }
+  
+  // Still open after a rejected proof; see lib/auth47-verification.js
+  if (auth.rejection) {
+    return { status: 'pending', rejection: auth.rejection };
+  }
+  
+  return { status: 'pending' };
+}
+
+// Issue a challenge answered at this site's callback, plus the binding for
+// the browser that asked for it. `resource` is the r= wallets show as the
+// site being logged in to; `record` adds fields to the stored challenge.
+async function issueChallenge(req, { resource = CALLBACK_URL, record = {} } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const binding = crypto.randomBytes(32).toString('hex');
+  
+  // Calculate expiry (5 minutes from now)
+  const expiry = Math.floor(Date.now() / 1000) + AUTH_CHALLENGE_TTL;
+  
+  // Auth47 URI format with both c= and r= for maximum wallet compatibility
+  // - c= (callback): Used by Samourai/Ashigaru wallets
+  // - r= (resource): Auth47 spec-compliant (BlueWallet, Sparrow); wallets
+  //   show it to the user, so it tells them which site they are logging in to
+  const uri = buildChallengeUri({ nonce, callback: CALLBACK_URL, expiry, resource });
+  const qr = await QRCode.toDataURL(uri);
+  
+  // Store nonce with expiry (the store drops it once expiresAt passes)
+  await pendingAuths.set(nonce, {
+    timestamp: Date.now(),
+    verified: false,
+    expiry: expiry,
+    bindingHash: hashBinding(binding),
+    expiresAt: new Date(expiry * 1000),
+    ...record
+  });
+  await auditLog.record('created', {
+    nonce,
+    expiresAt: new Date(expiry * 1000),
+    ...requestMetadata(req)
+  });
+  
+  return { uri, qr, nonce, expiry, binding };
+}
 
 // Generate Auth47 URI
 app.get('/start-auth', async (req, res) => {
   try {
-    const nonce = crypto.randomBytes(16).toString('hex');
-    
-    // Calculate expiry (5 minutes from now)
-    const expiry = Math.floor(Date.now() / 1000) + 300; // 5 minutes
-    
-    // Auth47 URI format with both c= and r= for maximum wallet compatibility
-    // - c= (callback): Used by Samourai/Ashigaru wallets
-    // - r= (resource): Auth47 spec-compliant (BlueWallet, Sparrow)
-    // NOTE: Do NOT url-encode the callback URL - wallets expect it unencoded
-    const uri = `auth47://${nonce}?c=${CALLBACK_URL}&e=${expiry}&r=${CALLBACK_URL}`;
-    const qr = await QRCode.toDataURL(uri);
-    
-    // Store nonce with expiry
-    pendingAuths.set(nonce, {
-      timestamp: Date.now(),
-      verified: false,
-      expiry: expiry
-    });
-    
-    // Clean up old nonces (>5 minutes)
-    for (const [key, value] of pendingAuths.entries()) {
-      if (Date.now() - value.timestamp > 300000) {
-        pendingAuths.delete(key);
-      }
-    }
+    const { uri, qr, nonce, expiry, binding } = await issueChallenge(req);
     
     console.log(`✅ Generated auth URI with nonce: ${nonce}, expiry: ${expiry}`);
     
@@ -97,7 +302,11 @@ app.get('/start-auth', async (req, res) => {
       qr, 
       nonce,
       callbackUrl: CALLBACK_URL,
-      expiry: expiry
+      origin: SITE_ORIGIN,
+      expiry: expiry,
+      // Keep this in the browser that started the challenge; it is needed to
+      // read the result (X-Auth47-Binding header or ?binding=)
+      binding
     });
   } catch (error) {
     console.error('❌ Error generating auth:', error);
@@ -105,241 +314,317 @@ app.get('/start-auth', async (req, res) => {
   }
 });
 
+// The http(s) origin a browser sent in its Origin header, or null
+function parseEmbedOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Start a login for the page embedding the widget (public/widget.js). The
+// challenge's r= is that page's origin, so the wallet shows the user where
+// they are logging in and the proof is no good for any other site. Widget
+// challenges never log anyone in here: /session, the guestbook and OpenID
+// Connect refuse them. POST, because browsers always send Origin with it.
+app.post('/widget/start-auth', async (req, res) => {
+  const embedOrigin = parseEmbedOrigin(req.get('Origin'));
+  if (!embedOrigin) {
+    return res.status(400).json({ error: 'Widget logins must come from a web page (missing Origin header)' });
+  }
+  
+  try {
+    const { uri, qr, nonce, expiry, binding } = await issueChallenge(req, {
+      resource: embedOrigin,
+      record: {
+        kind: WIDGET_CHALLENGE,
+        embedOrigin,
+        // c= is this site's callback, r= the embedding page
+        origins: [...new Set([SITE_ORIGIN, embedOrigin])]
+      }
+    });
+    
+    console.log(`✅ Generated widget auth URI for ${embedOrigin} with nonce: ${nonce}`);
+    
+    res.json({ uri, qr, nonce, origin: embedOrigin, expiry, binding });
+  } catch (error) {
+    console.error('❌ Error generating widget auth:', error);
+    res.status(500).json({ error: 'Failed to start widget login' });
+  }
+});
+
 // Check auth status (polling endpoint)
-app.get('/check-auth/:nonce', (req, res) => {
+app.get('/check-auth/:nonce', async (req, res) => {
   // Disable caching to ensure fresh auth status
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
   res.set('Pragma', 'no-cache');
   res.set('Expires', '0');
   
+  try {
+    const { nonce } = req.params;
+    const auth = await pendingAuths.get(nonce);
+    
+    if (!auth) {
+      return res.json({ status: 'invalid' });
+    }
+    
+    res.json(authStatusPayload(auth, isBoundRequest(req, auth)));
+  } catch (error) {
+    console.error('❌ Error checking auth:', error);
+    res.status(500).json({ error: 'Failed to check auth status' });
+  }
+});
+
+// Stream auth status (Server-Sent Events). Sends the current status straight
+// away, then every change (including rejected proofs) until the challenge
+// settles: `verified`, `failed` (it ran out after its wallet's proofs were
+// rejected; carries the last rejection) or `expired` (no proof arrived).
+// Browsers fall back to /check-auth polling if the stream drops.
+app.get('/auth-events/:nonce', async (req, res) => {
   const { nonce } = req.params;
-  const auth = pendingAuths.get(nonce);
   
-  if (!auth) {
-    return res.json({ status: 'invalid' });
-  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
   
-  if (auth.verified) {
-    return res.json({ 
-      status: 'verified',
-      nym: auth.nym,
-      paymentCode: auth.paymentCode,
-      challenge: auth.challenge,
-      signature: auth.signature
-    });
-  }
+  let closed = false;
+  let bound = false;
+  let lastPayload = null;
+  let lastRejection = null;
+  let unsubscribe = () => {};
+  let refreshTimer = null;
+  let expiryTimer = null;
   
-  res.json({ status: 'pending' });
-});
-
-// Verify Auth47 proof
-app.post('/verify', async (req, res) => {
-  try {
-    console.log('📥 Received verification request:', JSON.stringify(req.body, null, 2));
-    
-    const { auth47_response, challenge, nym, signature } = req.body;
-    
-    // Validate required fields
-    if (!challenge || !nym || !signature) {
-      console.error('❌ Missing required fields');
-      return res.status(400).json({
-        result: 'error',
-        error: 'Missing required fields: challenge, nym, signature'
-      });
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(refreshTimer);
+    clearTimeout(expiryTimer);
+    res.end();
+  };
+  
+  const send = (payload) => {
+    const data = JSON.stringify(payload);
+    if (closed || data === lastPayload) return;
+    lastPayload = data;
+    if (payload.rejection) {
+      lastRejection = payload.rejection;
     }
-    
-    // Parse challenge URL to extract nonce and validate expiry
-    let nonce;
-    let challengeExpiry;
+    res.write(`data: ${data}\n\n`);
+    if (payload.status !== 'pending') {
+      close();
+    }
+  };
+  
+  // A challenge that is gone from the store ran out without a valid proof
+  const ended = () => lastRejection
+    ? { status: 'failed', rejection: lastRejection }
+    : { status: 'expired' };
+  
+  // Re-read the store to catch changes made by other instances
+  const refresh = async () => {
     try {
-      const challengeUrl = new URL(challenge);
-      nonce = challengeUrl.hostname || challengeUrl.pathname.replace(/^\/\//, '');
-      
-      // Extract expiry from challenge parameters
-      const params = new URLSearchParams(challengeUrl.search);
-      challengeExpiry = params.get('e');
-      
-      if (!challengeExpiry) {
-        console.error('❌ Missing expiry parameter in challenge');
-        return res.status(400).json({
-          result: 'error',
-          error: 'Missing expiry parameter in challenge'
-        });
-      }
-    } catch (e) {
-      console.error('❌ Invalid challenge format:', challenge);
-      return res.status(400).json({
-        result: 'error',
-        error: 'Invalid challenge format'
-      });
+      const auth = await pendingAuths.get(nonce);
+      send(auth ? authStatusPayload(auth, bound) : ended());
+    } catch (error) {
+      console.error('❌ Auth events refresh error:', error);
     }
-    
-    console.log(`🔍 Extracted nonce: ${nonce}, expiry: ${challengeExpiry}`);
-    
-    // Verify nonce exists
-    const auth = pendingAuths.get(nonce);
+  };
+  
+  req.on('close', close);
+  
+  try {
+    const auth = await pendingAuths.get(nonce);
     if (!auth) {
-      console.error('❌ Invalid or expired nonce');
-      return res.status(400).json({
-        result: 'error',
-        error: 'Invalid or expired nonce'
-      });
+      return send({ status: 'expired' });
     }
     
-    // Verify expiry matches and is not expired
-    const currentTime = Math.floor(Date.now() / 1000);
-    const expiryTime = parseInt(challengeExpiry, 10);
+    bound = isBoundRequest(req, auth);
+    unsubscribe = authEvents.subscribe(nonce, (update) => send(authStatusPayload(update, bound)));
+    send(authStatusPayload(auth, bound));
+    if (closed) return;
     
-    if (expiryTime <= currentTime) {
-      console.error('❌ Challenge has expired');
-      return res.status(400).json({
-        result: 'error',
-        error: 'Challenge has expired'
-      });
-    }
+    refreshTimer = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+      refresh();
+    }, AUTH_EVENTS_REFRESH_MS);
+    expiryTimer = setTimeout(refresh, Math.max(auth.expiresAt.getTime() - Date.now(), 0) + 1000);
+  } catch (error) {
+    console.error('❌ Auth events error:', error);
+    close();
+  }
+});
+
+// Verify Auth47 proof
+app.post('/verify', async (req, res) => {
+  try {
+    console.log('📥 Received verification request:', JSON.stringify(req.body, null, 2));
     
-    if (auth.expiry !== expiryTime) {
-      console.error('❌ Expiry mismatch in challenge');
-      return res.status(400).json({
-        result: 'error',
-        error: 'Expiry mismatch in challenge'
-      });
-    }
+    const outcome = await authPipeline.verify(req.body, requestMetadata(req));
     
-    if (auth.verified) {
-      console.error('❌ Nonce already used');
-      return res.status(400).json({
-        result: 'error',
-        error: 'Nonce already used'
-      });
+    if (outcome.result !== 'ok') {
+      console.error(`❌ Verification failed [${outcome.code}]: ${outcome.detail || outcome.error}`);
+      return res.status(400).json(outcome);
     }
     
-    // Verify signature using Auth47 library (Bitcoin Message Signing protocol)
-    const verifiedProof = verifier.verifyProof(req.body, 'bitcoin');
+    const { nym } = outcome.auth;
+    console.log(`🎉 Authentication successful for ${nym}`);
     
-    if (verifiedProof.result === 'ok') {
-      // Mark as verified and store auth data
-      auth.verified = true;
-      auth.nym = nym;
-      auth.paymentCode = nym;
-      auth.challenge = challenge;
-      auth.signature = signature;
-      
-      console.log(`🎉 Authentication successful for ${nym}`);
-      
-      res.json({
-        result: 'ok',
-        nym,
-        payment_code: nym
-      });
-    } else {
-      console.error(`❌ Invalid signature: ${verifiedProof.error}`);
-      res.json({
-        result: 'error',
-        error: verifiedProof.error
-      });
-    }
+    res.json({
+      result: 'ok',
+      nym,
+      payment_code: nym
+    });
   } catch (error) {
     console.error('💥 Verification error:', error);
-    res.status(400).json({
+    res.status(500).json({
       result: 'error',
-      error: error.message
+      error: 'Verification failed'
+    });
+  }
+});
+
+// Start a login session from a verified Auth47 nonce. The nonce is consumed,
+// so each verification can only start one session.
+app.post('/session', async (req, res) => {
+  try {
+    const { nonce } = req.body;
+
+    if (!isNonce(nonce)) {
+      return res.status(400).json({ error: 'Missing or invalid nonce parameter' });
+    }
+
+    const auth = await pendingAuths.get(nonce);
+    if (!auth || !auth.verified || auth.kind === WIDGET_CHALLENGE || !isBoundRequest(req, auth) ||
+        !(await pendingAuths.take(nonce))) {
+      return res.status(401).json({ 
+        error: 'Invalid or expired authentication' 
+      });
+    }
+
+    await auditLog.record('consumed', {
+      nonce,
+      paymentCode: auth.paymentCode,
+      consumer: 'session',
+      ...requestMetadata(req)
+    });
+
+    const session = sessions.issue(res, {
+      paymentCode: auth.paymentCode,
+      nym: auth.nym
+    });
+
+    console.log(`🔑 Session started for ${auth.paymentCode}`);
+    res.json({ success: true, session });
+
+  } catch (error) {
+    console.error('💥 Session error:', error);
+    res.status(500).json({ error: 'Failed to start session' });
+  }
+});
+
+// Current login session
+app.get('/me', (req, res) => {
+  res.set('Cache-Control', 'no-store, private');
+
+  if (!req.session) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+
+  res.json(req.session);
+});
+
+// ?limit= page size: `fallback` when missing or unreadable, otherwise
+// clamped to 1..max
+const pageLimit = (value, fallback, max) =>
+  Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// Lists ordered newest first by (createdAt, _id) page with a cursor naming
+// the last entry of the previous page. The _id breaks ties between entries
+// written in the same millisecond.
+const encodePageCursor = (entry) =>
+  Buffer.from(JSON.stringify([entry.createdAt, String(entry._id)])).toString('base64url');
+
+function decodePageCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(createdAt);
+    const _id = ObjectId.isValid(id) ? new ObjectId(id) : null;
+    return isNaN(date.getTime()) || !_id ? null : { createdAt: date, _id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Login history of the signed-in payment code, newest first.
+// ?cursor=<nextCursor> pages back, ?limit= caps the page size (max 100).
+app.get('/api/me/auth-history', async (req, res) => {
+  res.set('Cache-Control', 'no-store, private');
+
+  if (!req.session) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+
+  if (!auditLog.available) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const limit = pageLimit(req.query.limit, 50, 100);
+    const after = req.query.cursor ? decodePageCursor(String(req.query.cursor)) : null;
+    if (req.query.cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor parameter' });
+    }
+
+    // One extra event tells whether there is a next page
+    const found = await auditLog.history(req.session.paymentCode, { limit: limit + 1, after });
+    const events = found.slice(0, limit);
+    res.json({
+      paymentCode: req.session.paymentCode,
+      events,
+      nextCursor: found.length > limit ? encodePageCursor(events[events.length - 1]) : null
     });
+  } catch (error) {
+    console.error('💥 Auth history error:', error);
+    res.status(500).json({ error: 'Failed to load login history' });
   }
 });
 
+// End the login session
+app.post('/logout', (req, res) => {
+  sessions.clear(res);
+  res.json({ success: true });
+});
+
 // Callback endpoint (displayed after wallet scans)
 app.get('/callback', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'callback.html'));
 });
 
 // Handle Auth47 wallet callback (POST request from wallet)
+// Always ends on callback.html: with ?nonce= so it can follow the verified
+// challenge, or with ?error= saying why the proof was rejected (the challenge
+// itself stays open for another try).
 app.post('/callback', async (req, res) => {
   try {
     console.log('📥 Received Auth47 callback:', JSON.stringify(req.body, null, 2));
     
-    const { auth47_response, challenge, nym, signature } = req.body;
+    const outcome = await authPipeline.verify(req.body, requestMetadata(req));
     
-    // Validate required fields
-    if (!challenge || !nym || !signature) {
-      console.error('❌ Missing required fields in callback');
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
-    
-    // Parse challenge URL to extract nonce and validate expiry
-    let nonce;
-    let challengeExpiry;
-    try {
-      const challengeUrl = new URL(challenge);
-      nonce = challengeUrl.hostname || challengeUrl.pathname.replace(/^\/\//, '');
-      
-      // Extract expiry from challenge parameters
-      const params = new URLSearchParams(challengeUrl.search);
-      challengeExpiry = params.get('e');
-      
-      if (!challengeExpiry) {
-        console.error('❌ Missing expiry parameter in challenge');
-        return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-      }
-    } catch (e) {
-      console.error('❌ Invalid challenge format in callback:', challenge);
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
-    
-    console.log(`🔍 Callback - Extracted nonce: ${nonce}, expiry: ${challengeExpiry}`);
-    
-    // Verify nonce exists
-    const auth = pendingAuths.get(nonce);
-    if (!auth) {
-      console.error('❌ Invalid or expired nonce in callback');
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
+    if (outcome.result === 'ok') {
+      console.log(`🎉 Authentication successful via callback for ${outcome.auth.nym}`);
+      return res.redirect(`/callback?nonce=${outcome.nonce}`);
     }
     
-    // Verify expiry matches and is not expired
-    const currentTime = Math.floor(Date.now() / 1000);
-    const expiryTime = parseInt(challengeExpiry, 10);
-    
-    if (expiryTime <= currentTime) {
-      console.error('❌ Challenge has expired in callback');
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
-    
-    if (auth.expiry !== expiryTime) {
-      console.error('❌ Expiry mismatch in callback');
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
-    
-    if (auth.verified) {
-      console.error('❌ Nonce already used in callback');
-      return res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
-    
-    // Verify signature using Auth47 library (Bitcoin Message Signing protocol)
-    try {
-      const verifiedProof = verifier.verifyProof(req.body, 'bitcoin');
-      
-      if (verifiedProof.result === 'ok') {
-        // Mark as verified and store auth data
-        auth.verified = true;
-        auth.nym = nym;
-        auth.paymentCode = nym;
-        auth.challenge = challenge;
-        auth.signature = signature;
-        
-        console.log(`🎉 Authentication successful via callback for ${nym}`);
-        
-        // Redirect to callback page with nonce parameter so it can poll auth status
-        return res.redirect(`/callback?nonce=${nonce}`);
-      } else {
-        console.log(`❌ Callback verification failed: ${verifiedProof.error}`);
-        // Redirect to callback page with nonce for error display
-        return res.redirect(`/callback?nonce=${nonce}`);
-      }
-    } catch (verifyError) {
-      console.log('❌ Callback verification error:', verifyError.message);
-      // Still serve the callback page
-      res.sendFile(path.join(__dirname, 'public', 'callback.html'));
-    }
+    console.log(`❌ Callback verification failed [${outcome.code}]: ${outcome.detail || outcome.error}`);
+    res.redirect(`/callback?error=${outcome.code}`);
   } catch (error) {
     console.error('💥 Callback error:', error);
     // Still serve the callback page even on error
@@ -347,13 +632,54 @@ app.post('/callback', async (req, res) => {
   }
 });
 
+// OpenID Connect provider (see lib/oidc-provider.js). Set OIDC_SIGNING_KEY
+// to a PEM-encoded P-256 private key in production, otherwise tokens stop
+// verifying after a restart. OIDC_ISSUER defaults to this site's origin.
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || SITE_ORIGIN).replace(/\/$/, '');
+const OIDC_TOKEN_TTL = parseInt(process.env.OIDC_TOKEN_TTL, 10) || 60 * 60; // 1 hour
+const oidcSigningKey = loadSigningKey(process.env.OIDC_SIGNING_KEY);
+
+if (!process.env.OIDC_SIGNING_KEY) {
+  console.log('⚠️  OIDC_SIGNING_KEY not set - using a random key, issued tokens stop verifying on restart');
+}
+
+// Paynym directory: paynym.rs, or a compatible server such as
+// scripts/paynym-mock.js for offline development
+const PAYNYM_API_URL = (process.env.PAYNYM_API_URL || 'https://paynym.rs').replace(/\/$/, '');
+
+if (process.env.PAYNYM_API_URL) {
+  console.log(`🎭 Paynym directory: ${PAYNYM_API_URL}`);
+}
+
+// Every directory lookup goes through one cache (see lib/paynym-client.js).
+// Times are in seconds.
+const paynym = createPaynymClient({
+  baseUrl: PAYNYM_API_URL,
+  ttlMs: (parseInt(process.env.PAYNYM_CACHE_TTL, 10) || 5 * 60) * 1000,
+  staleMs: (parseInt(process.env.PAYNYM_CACHE_STALE, 10) || 60 * 60) * 1000,
+  negativeTtlMs: (parseInt(process.env.PAYNYM_NEGATIVE_TTL, 10) || 60) * 1000,
+  maxEntries: parseInt(process.env.PAYNYM_CACHE_SIZE, 10) || 1000
+});
+
+// Login page for apps signing users in through /oidc/authorize
+app.get('/oidc/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'oidc-login.html'));
+});
+
 // Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    pendingAuths: pendingAuths.size,
-    verified: Array.from(pendingAuths.values()).filter(a => a.verified).length
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ 
+      status: 'ok', 
+      authStore: pendingAuths.backend,
+      pendingAuths: await pendingAuths.count(),
+      verified: await pendingAuths.count({ verified: true }),
+      paynymCache: paynym.stats()
+    });
+  } catch (error) {
+    console.error('❌ Health check error:', error);
+    res.status(503).json({ status: 'error', error: 'Auth store unavailable' });
+  }
 });
 
 // Paynym API proxy endpoint
@@ -367,46 +693,22 @@ app.post('/api/paynym/lookup', async (req, res) => {
     
     console.log(`🔍 Looking up Paynym: ${nym}`);
     
-    // Call paynym.rs API
-    const response = await fetch('https://paynym.rs/api/v1/nym/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ nym })
-    });
-    
-    // Check if response body is empty
-    const text = await response.text();
-    if (!text || text.trim() === '') {
-      console.error(`❌ Paynym lookup failed: Empty response from API`);
+    const data = await paynym.lookup(nym);
+    if (!data) {
+      console.error(`❌ Paynym lookup failed: ${nym} not found`);
       return res.status(404).json({ 
         error: 'Paynym not found. Please check the nymID or nymName and try again.' 
       });
     }
     
-    // Parse JSON
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch (parseError) {
-      console.error(`❌ Failed to parse API response:`, parseError.message);
-      return res.status(500).json({ 
-        error: 'Invalid response from Paynym API' 
-      });
-    }
-    
-    if (!response.ok) {
-      console.error(`❌ Paynym lookup failed: ${data.error || response.statusText}`);
-      return res.status(response.status).json({ 
-        error: data.error || 'Paynym not found' 
-      });
-    }
-    
     console.log(`✅ Paynym found: ${data.nymName}`);
     res.json(data);
     
   } catch (error) {
+    if (error.status) {
+      console.error(`❌ Paynym lookup failed: ${error.message}`);
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('💥 Paynym lookup error:', error);
     res.status(500).json({ 
       error: 'Failed to lookup Paynym' 
@@ -414,69 +716,132 @@ app.post('/api/paynym/lookup', async (req, res) => {
   }
 });
 
-// Batch Paynym details endpoint for followers
+// Follower/following details, a page at a time.
+//   body:   { nymIds, cursor, limit } - cursor is the offset into nymIds from
+//           a previous page's nextCursor
+//   answer: { followers, failed, cursor, nextCursor, total }, or with
+//           `Accept: application/x-ndjson` one line per nym as it arrives
+//           ({ type: 'follower' } or { type: 'failed' }), in nymIds order,
+//           then { type: 'page', cursor, nextCursor, total }
+// At most PAYNYM_FOLLOWER_CONCURRENCY lookups are in flight per request.
+const FOLLOWERS_PAGE_SIZE = 24;
+const MAX_FOLLOWERS_PAGE_SIZE = 100;
+const MAX_FOLLOWER_IDS = 10000;
+const PAYNYM_FOLLOWER_CONCURRENCY = parseInt(process.env.PAYNYM_FOLLOWER_CONCURRENCY, 10) || 6;
+
+function followerDetails(nymId, { data, error }) {
+  if (error) {
+    return { type: 'failed', nymId, error: error.status ? error.message : 'Failed to fetch', status: error.status || 500 };
+  }
+  if (!data) {
+    return { type: 'failed', nymId, error: 'Not found', status: 404 };
+  }
+  // Get primary payment code for avatar
+  const primaryCode = data.codes && data.codes.length > 0 ? data.codes[0].code : '';
+  return {
+    type: 'follower',
+    nymId: data.nymID,
+    nymName: data.nymName || 'Unknown',
+    avatarUrl: primaryCode ? `/api/paynym/avatar/${primaryCode}` : null,
+    primaryCode: primaryCode
+  };
+}
+
 app.post('/api/paynym/followers', async (req, res) => {
   try {
     const { nymIds } = req.body;
-    
-    if (!nymIds || !Array.isArray(nymIds)) {
+
+    if (!nymIds || !Array.isArray(nymIds) || nymIds.some((id) => typeof id !== 'string')) {
       return res.status(400).json({ error: 'Missing or invalid nymIds parameter' });
     }
-    
-    if (nymIds.length === 0) {
-      return res.json([]);
+    if (nymIds.length > MAX_FOLLOWER_IDS) {
+      return res.status(400).json({ error: `At most ${MAX_FOLLOWER_IDS} nymIds per request` });
     }
-    
-    console.log(`🔍 Fetching details for ${nymIds.length} followers`);
-    
-    // Fetch details for each follower in parallel
-    const followerPromises = nymIds.map(async (nymId) => {
-      try {
-        const response = await fetch('https://paynym.rs/api/v1/nym/', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ nym: nymId })
-        });
-        
-        if (!response.ok) {
-          return { nymId, error: 'Not found' };
+
+    const cursor = req.body.cursor === undefined ? 0 : parseInt(req.body.cursor, 10);
+    const limit = req.body.limit === undefined ? FOLLOWERS_PAGE_SIZE : parseInt(req.body.limit, 10);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return res.status(400).json({ error: 'cursor must be a non-negative integer' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FOLLOWERS_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_FOLLOWERS_PAGE_SIZE}` });
+    }
+
+    const page = nymIds.slice(cursor, cursor + limit);
+    const nextCursor = cursor + page.length < nymIds.length ? String(cursor + page.length) : null;
+    const pageInfo = { cursor: String(cursor), nextCursor, total: nymIds.length };
+    const stream = req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+
+    console.log(`🔍 Fetching details for ${page.length} of ${nymIds.length} followers (from ${cursor})`);
+
+    // Stop starting lookups for a client that went away
+    const aborted = new AbortController();
+    res.on('close', () => aborted.abort());
+
+    let onResult;
+    if (stream) {
+      res.set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+      res.flushHeaders();
+      // Lookups finish in any order; lines go out in nymIds order
+      const settled = new Map();
+      let written = 0;
+      onResult = (index, result) => {
+        settled.set(index, result);
+        while (settled.has(written) && !aborted.signal.aborted) {
+          res.write(JSON.stringify(followerDetails(page[written], settled.get(written))) + '\n');
+          settled.delete(written++);
         }
-        
-        const data = await response.json();
-        
-        // Get primary payment code for avatar
-        const primaryCode = data.codes && data.codes.length > 0 ? data.codes[0].code : '';
-        
-        return {
-          nymId: data.nymID,
-          nymName: data.nymName || 'Unknown',
-          avatarUrl: primaryCode ? `https://paynym.rs/${primaryCode}/avatar` : null,
-          primaryCode: primaryCode
-        };
-      } catch (error) {
-        console.error(`❌ Error fetching follower ${nymId}:`, error.message);
-        return { nymId, error: 'Failed to fetch' };
+      };
+    }
+
+    const results = await paynym.lookupMany(page, {
+      concurrency: PAYNYM_FOLLOWER_CONCURRENCY,
+      onResult,
+      signal: aborted.signal
+    });
+    const details = results
+      .map((result, index) => result && followerDetails(page[index], result))
+      .filter(Boolean);
+    const failed = details.filter((d) => d.type === 'failed');
+
+    console.log(`✅ Fetched ${details.length - failed.length} follower details, ${failed.length} failed`);
+
+    if (stream) {
+      if (!aborted.signal.aborted) {
+        res.end(JSON.stringify({ type: 'page', ...pageInfo }) + '\n');
       }
+      return;
+    }
+    res.json({
+      followers: details.filter((d) => d.type === 'follower').map(({ type, ...follower }) => follower),
+      failed: failed.map(({ type, ...failure }) => failure),
+      ...pageInfo
     });
 
-    const followers = await Promise.all(followerPromises);
-    
-    // Filter out failed fetches
-    const validFollowers = followers.filter(f => !f.error);
-    
-    console.log(`✅ Successfully fetched ${validFollowers.length} follower details`);
-    res.json(validFollowers);
-    
   } catch (error) {
     console.error('💥 Batch followers error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch follower details' 
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to fetch follower details'
     });
   }
 });
 
+// Paynym avatar, from whichever directory PAYNYM_API_URL points at
+app.get('/api/paynym/avatar/:code', (req, res) => {
+  const { code } = req.params;
+  if (!/^P[1-9A-HJ-NP-Za-km-z]{20,200}$/.test(code)) {
+    return res.status(400).json({ error: 'Invalid payment code' });
+  }
+  res.redirect(`${PAYNYM_API_URL}/${code}/avatar`);
+});
+
+// Claim, follow, unfollow and add codes with wallet-signed tokens
+// (see lib/paynym-account.js)
+app.use(createPaynymAccount({ paynym, bip47, ecc }));
+
 // Auth page route
 app.get('/auth', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'auth.html'));
@@ -503,31 +868,14 @@ app.post('/api/bip47/validate', (req, res) => {
       return res.status(400).json({ error: 'Payment code required' });
     }
 
-    const checks = {
-      format: paymentCode.startsWith('PM8T'),
-      length: paymentCode.length === 116,
-      base58: /^[1-9A-HJ-NP-Za-km-z]+$/.test(paymentCode),
-      checksum: false,
-      version: false
-    };
-
-    // Check checksum by trying to parse
-    try {
-      const pc = bip47.fromBase58(paymentCode);
-      checks.checksum = true;
-      checks.version = true;
-    } catch (e) {
-      checks.checksum = false;
-    }
-
-    const isValid = checks.format && checks.length && checks.base58 && 
-                    checks.checksum && checks.version;
+    // Full breakdown at /api/bip47/decode
+    const decoded = decodePaymentCode(paymentCode, { ecc });
 
     res.json({
-      valid: isValid,
-      checks,
-      details: isValid ? {
-        type: 'BIP47 Payment Code v1',
+      valid: decoded.valid,
+      checks: decoded.checks,
+      details: decoded.valid ? {
+        type: `BIP47 Payment Code v${decoded.version}`,
         features: 'Reusable payment codes for stealth addresses',
         warning: 'Always verify payment codes before use'
       } : null
@@ -539,16 +887,27 @@ app.post('/api/bip47/validate', (req, res) => {
   }
 });
 
+// Lab derivations on the BIP47 test vector wallets (see lib/bip47-lab.js)
+app.use(createBip47Lab({ bip47, ecc }));
+
 // Lab page route
 app.get('/lab', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'lab.html'));
 });
 
 // Guestbook page route
+app.get('/account', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'account.html'));
+});
+
 app.get('/guestbook', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'guestbook.html'));
 });
 
+app.get('/admin/guestbook', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'moderation.html'));
+});
+
 // Documentation page route
 app.get('/docs', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'docs.html'));
@@ -578,7 +937,175 @@ app.get('/api/qr', async (req, res) => {
 
 // Guestbook API endpoints
 
-// GET /api/guestbook/messages - List all verified messages
+// Guestbook entries are addressed by their MongoDB _id
+const parseMessageId = (id) => ObjectId.isValid(id) ? new ObjectId(id) : null;
+
+// Guestbook pages are ordered newest first by (createdAt, _id), see
+// encodePageCursor
+const GUESTBOOK_PAGE_SIZE = 20;
+const MAX_GUESTBOOK_PAGE_SIZE = 100;
+const MAX_GUESTBOOK_SEARCH_LENGTH = 200;
+
+// One page of messages matching `conditions`, narrowed by the request's
+//   ?limit=    page size (default 20, max 100)
+//   ?cursor=   nextCursor of the previous page
+//   ?nym=      only this payment code or nymName
+//   ?q=        full-text search over message and nymName
+// Resolves to { messages, nextCursor }; nextCursor is null on the last page.
+// Bad parameters reject with an Error whose `status` is 400.
+async function findGuestbookPage(query, conditions) {
+  const limit = pageLimit(query.limit, GUESTBOOK_PAGE_SIZE, MAX_GUESTBOOK_PAGE_SIZE);
+  conditions = [...conditions];
+
+  if (query.cursor) {
+    const cursor = decodePageCursor(String(query.cursor));
+    if (!cursor) {
+      throw Object.assign(new Error('Invalid cursor parameter'), { status: 400 });
+    }
+    conditions.push({
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+      ]
+    });
+  }
+
+  const nym = String(query.nym || '').trim().replace(/^\+/, '');
+  if (nym) {
+    conditions.push({ $or: [{ paymentCode: nym }, { nymName: nym }] });
+  }
+
+  const search = String(query.q || '').trim();
+  if (search.length > MAX_GUESTBOOK_SEARCH_LENGTH) {
+    throw Object.assign(new Error(`Search must be at most ${MAX_GUESTBOOK_SEARCH_LENGTH} characters`), { status: 400 });
+  }
+  if (search) {
+    conditions.push({ $text: { $search: search } });
+  }
+
+  // One extra entry tells whether there is a next page
+  const entries = await db.collection('messages')
+    .find(conditions.length === 1 ? conditions[0] : { $and: conditions })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+  const messages = entries.slice(0, limit);
+
+  console.log(`✅ Retrieved ${messages.length} messages${nym ? ` from ${nym}` : ''}${search ? ` matching "${search}"` : ''}`);
+  return {
+    messages,
+    nextCursor: entries.length > limit ? encodePageCursor(messages[messages.length - 1]) : null
+  };
+}
+
+// Replies and reactions
+
+// Reactions a nym can leave on an entry, each at most once
+const GUESTBOOK_REACTIONS = ['like', 'love', 'laugh', 'fire', 'zap', 'eyes'];
+const MAX_GUESTBOOK_THREAD_REPLIES = 200;
+
+// A verified entry the public may see, or null
+async function findPublicMessage(id) {
+  const _id = parseMessageId(id);
+  return _id && db.collection('messages').findOne({ _id, verified: true, ...PUBLIC_MESSAGE_FILTER });
+}
+
+// Adds `reactions` (counts, e.g. { like: 2 }) and `myReactions` (those left
+// by `viewer`, a payment code or null) to entries, and `replyCount` to
+// top-level ones
+async function withThreadInfo(entries, viewer) {
+  if (!entries.length) {
+    return entries;
+  }
+
+  const byMessage = new Map();
+  const reactions = await db.collection('guestbookReactions')
+    .find({ messageId: { $in: entries.map((entry) => entry._id) } })
+    .toArray();
+  for (const { messageId, paymentCode, reaction } of reactions) {
+    const summary = byMessage.get(String(messageId)) || { reactions: {}, myReactions: [] };
+    summary.reactions[reaction] = (summary.reactions[reaction] || 0) + 1;
+    if (paymentCode === viewer) {
+      summary.myReactions.push(reaction);
+    }
+    byMessage.set(String(messageId), summary);
+  }
+
+  const replyCounts = await Promise.all(entries.map((entry) => entry.parentId ? null :
+    db.collection('messages').countDocuments({ threadId: entry._id, verified: true, ...PUBLIC_MESSAGE_FILTER })));
+
+  return entries.map((entry, index) => ({
+    ...entry,
+    reactions: {},
+    myReactions: [],
+    ...byMessage.get(String(entry._id)),
+    ...(entry.parentId ? {} : { replyCount: replyCounts[index] })
+  }));
+}
+
+// Guestbook API errors that clients branch on carry a machine-readable `code`
+// as well as the message:
+//   AUTH_REQUIRED      no login session or verified nonce (e.g. it expired)
+//   BANNED             the payment code is banned from the guestbook
+//   SIGNATURE_INVALID  the message signature doesn't match
+//   ALREADY_POSTED     this signed message is already in the guestbook
+//   PAYLOAD_EXPIRED    the signed payload is too old, prepare it again
+//   SIGNED_AT_INVALID  signedAt is unreadable or in the future
+const guestbookError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const alreadyPosted = () => guestbookError(409, 'ALREADY_POSTED', 'This signed message was already posted');
+
+// JSON body for a guestbook error that carries a status
+const guestbookErrorBody = (error) => ({ error: error.message, ...(error.code ? { code: error.code } : {}) });
+
+// The Auth47-verified payment code acting on the guestbook: the login
+// session's or, for clients that don't keep a session, that of a verified
+// nonce sent as { nonce, challenge, signature, nym }. Resolves to
+// { nym, nonce } (nonce is null with a session); rejects with a status when
+// there is no such login or the payment code is banned.
+async function guestbookAuthor(req) {
+  let author;
+  if (req.session) {
+    author = { nym: req.session.paymentCode, nonce: null };
+  } else {
+    const { nonce, challenge, signature, nym } = req.body || {};
+    if (!nonce || !challenge || !signature || !nym) {
+      throw guestbookError(401, 'AUTH_REQUIRED', 'Log in first, or provide nonce, challenge, signature and nym');
+    }
+    const auth = isNonce(nonce) && await pendingAuths.get(nonce);
+    if (!auth || !auth.verified || auth.kind === WIDGET_CHALLENGE || auth.paymentCode !== nym ||
+        !isBoundRequest(req, auth)) {
+      throw guestbookError(401, 'AUTH_REQUIRED', 'Invalid or expired authentication');
+    }
+    author = { nym, nonce };
+  }
+
+  if (guestbookModeration.available && await guestbookModeration.isBanned(author.nym)) {
+    console.error(`❌ Guestbook request from banned ${author.nym} refused`);
+    throw guestbookError(403, 'BANNED', 'This payment code is banned from the guestbook');
+  }
+  return author;
+}
+
+// A nonce authorizes a single post or reaction. Call before writing: the
+// nonce is taken atomically, so of concurrent requests presenting it only
+// one gets through.
+async function consumeGuestbookNonce(req, { nym, nonce }) {
+  if (!nonce) return;
+  if (!await pendingAuths.take(nonce)) {
+    throw guestbookError(401, 'AUTH_REQUIRED', 'Invalid or expired authentication');
+  }
+  await auditLog.record('consumed', {
+    nonce,
+    paymentCode: nym,
+    consumer: 'guestbook',
+    ...requestMetadata(req)
+  });
+}
+
+// GET /api/guestbook/messages - Verified top-level messages, newest first,
+// leaving out those hidden by moderators. Takes the parameters of
+// findGuestbookPage. Each message has its `replyCount` and reactions.
 app.get('/api/guestbook/messages', async (req, res) => {
   try {
     if (!db) {
@@ -587,43 +1114,174 @@ app.get('/api/guestbook/messages', async (req, res) => {
       });
     }
 
-    const messages = await db.collection('messages')
-      .find({ verified: true })
-      .sort({ createdAt: -1 })
-      .toArray();
-
-    console.log(`✅ Retrieved ${messages.length} messages`);
-    res.json(messages);
+    const page = await findGuestbookPage(req.query, [
+      { verified: true },
+      PUBLIC_MESSAGE_FILTER,
+      { parentId: { $exists: false } }
+    ]);
+    res.json({
+      ...page,
+      messages: await withThreadInfo(page.messages, req.session ? req.session.paymentCode : null)
+    });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('💥 Error fetching messages:', error);
     res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
+// Entries are signed over their own text (see lib/guestbook-signing.js)
+const MAX_GUESTBOOK_MESSAGE_LENGTH = 500;
+
+// POST /api/guestbook/payload - The text the wallet signs for a message:
+// { payload, signedAt, site, address } for the signed-in nym (or `nym`).
+// Replies pass the `parentId` of the entry they answer.
+app.post('/api/guestbook/payload', async (req, res) => {
+  try {
+    const nym = req.session ? req.session.paymentCode : req.body.nym;
+    const message = normalizeGuestbookMessage(req.body.message || '');
+    const parentId = req.body.parentId ? parseMessageId(String(req.body.parentId)) : null;
+
+    if (!nym) {
+      return res.status(401).json({ error: 'Log in first, or provide nym', code: 'AUTH_REQUIRED' });
+    }
+    if (!message) {
+      return res.status(400).json({ error: 'Missing required field: message' });
+    }
+    if (message.length > MAX_GUESTBOOK_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message must be at most ${MAX_GUESTBOOK_MESSAGE_LENGTH} characters` });
+    }
+    if (req.body.parentId && !parentId) {
+      return res.status(400).json({ error: 'Invalid parentId' });
+    }
+
+    let address;
+    try {
+      address = bip47.fromBase58(nym).getNotificationAddress();
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid payment code: ${error.message}` });
+    }
+
+    if (guestbookModeration.available && await guestbookModeration.isBanned(nym)) {
+      return res.status(403).json({ error: 'This payment code is banned from the guestbook', code: 'BANNED' });
+    }
+
+    const signedAt = normalizeSignedAt(Date.now());
+    res.json({
+      payload: guestbookPayload({ site: SITE_ORIGIN, signedAt, message, parentId }),
+      signedAt,
+      site: SITE_ORIGIN,
+      address
+    });
+  } catch (error) {
+    console.error('💥 Error preparing guestbook payload:', error);
+    res.status(500).json({ error: 'Failed to prepare message' });
+  }
+});
+
+// GET /api/guestbook/messages/:id/verify - Check an entry's signature over
+// its text, for anyone who wants to know the nym really wrote it
+app.get('/api/guestbook/messages/:id/verify', async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const id = parseMessageId(req.params.id);
+    const entry = id && await db.collection('messages').findOne({ _id: id, verified: true, ...PUBLIC_MESSAGE_FILTER });
+    if (!entry) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const result = verifyGuestbookEntry(entry, { bip47, ecc });
+    console.log(`🔍 Guestbook message ${req.params.id} signature ${result.valid ? 'verified' : 'not verified'}`);
+
+    res.json({
+      id: req.params.id,
+      paymentCode: entry.paymentCode,
+      signature: entry.signature || null,
+      ...result
+    });
+  } catch (error) {
+    console.error('💥 Error verifying message:', error);
+    res.status(500).json({ error: 'Failed to verify message' });
+  }
+});
+
 // POST /api/guestbook/submit - Submit new message with Auth47
+// Authorized by the login session, or by a verified nonce for clients that
+// don't keep a session (the nonce is then consumed). The message itself must
+// be signed: `signedAt` from /api/guestbook/payload and `messageSignature`,
+// the payload signed with the nym's notification key. Replies also pass the
+// `parentId` they were prepared with.
 app.post('/api/guestbook/submit', async (req, res) => {
   try {
-    const { nonce, message, challenge, signature, nym } = req.body;
+    const { signedAt, messageSignature } = req.body;
+    const message = normalizeGuestbookMessage(req.body.message || '');
+    const author = await guestbookAuthor(req);
+    const { nym, nonce } = author;
 
-    if (!nonce || !message || !challenge || !signature || !nym) {
+    if (!message) {
       return res.status(400).json({ 
-        error: 'Missing required fields: nonce, message, challenge, signature, nym' 
+        error: 'Missing required field: message' 
+      });
+    }
+
+    if (message.length > MAX_GUESTBOOK_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        error: `Message must be at most ${MAX_GUESTBOOK_MESSAGE_LENGTH} characters`
       });
     }
 
+    if (!signedAt || !messageSignature || typeof messageSignature !== 'string') {
+      return res.status(400).json({
+        error: 'Sign the message: provide signedAt and messageSignature (see /api/guestbook/payload)'
+      });
+    }
+
+    try {
+      checkSigningTime(signedAt);
+    } catch (error) {
+      return res.status(400).json(guestbookErrorBody(error));
+    }
+
     if (!db) {
       return res.status(503).json({ 
         error: 'Database not available' 
       });
     }
 
-    // Verify the Auth47 authentication
-    const auth = pendingAuths.get(nonce);
-    if (!auth || !auth.verified || auth.paymentCode !== nym) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired authentication' 
-      });
+    // A reply joins the thread of the entry it answers
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await findPublicMessage(String(req.body.parentId));
+      if (!parent) {
+        return res.status(404).json({ error: 'The message you are replying to was not found' });
+      }
+    }
+
+    // The signature must cover exactly this text, time, site and parent
+    const proof = verifyGuestbookEntry(
+      {
+        paymentCode: nym,
+        message,
+        signedAt,
+        site: SITE_ORIGIN,
+        parentId: parent && parent._id,
+        signature: messageSignature
+      },
+      { bip47, ecc }
+    );
+    if (!proof.valid) {
+      console.error(`❌ Guestbook message signature rejected for ${nym}: ${proof.reason}`);
+      return res.status(401).json({ error: `Message signature invalid: ${proof.reason}`, code: 'SIGNATURE_INVALID' });
+    }
+
+    if (await db.collection('messages').findOne({ signature: messageSignature })) {
+      throw alreadyPosted();
     }
 
     console.log(`📝 Submitting message from ${nym}`);
@@ -632,14 +1290,9 @@ app.post('/api/guestbook/submit', async (req, res) => {
     let nymName = nym;
     let nymAvatar = null;
     try {
-      const paynymResponse = await fetch('https://paynym.rs/api/v1/nym/', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ nym })
-      });
+      const paynymData = await paynym.lookup(nym);
 
-      if (paynymResponse.ok) {
-        const paynymData = await paynymResponse.json();
+      if (paynymData) {
         nymName = paynymData.nymName || nym;
         
         // Get avatar URL from primary payment code
@@ -648,7 +1301,7 @@ app.post('/api/guestbook/submit', async (req, res) => {
           : null;
         
         if (primaryCode) {
-          nymAvatar = `https://paynym.rs/${primaryCode}/avatar`;
+          nymAvatar = `/api/paynym/avatar/${primaryCode}`;
         }
         
         console.log(`✅ Fetched Paynym: ${nymName}, avatar: ${nymAvatar ? 'yes' : 'no'}`);
@@ -664,18 +1317,30 @@ app.post('/api/guestbook/submit', async (req, res) => {
       nymName,
       nymAvatar,
       message,
-      signature,
+      signature: messageSignature,
+      signatureFormat: proof.format,
+      signedAt: new Date(normalizeSignedAt(signedAt)),
+      site: SITE_ORIGIN,
       verified: true,
       createdAt: new Date(),
-      nonce
+      nonce,
+      ...(parent ? { parentId: parent._id, threadId: parent.threadId || parent._id } : {})
     };
 
-    await db.collection('messages').insertOne(messageDoc);
+    await consumeGuestbookNonce(req, author);
+    try {
+      await db.collection('messages').insertOne(messageDoc);
+    } catch (error) {
+      // The unique index catches a concurrent submit of the same signature
+      if (error.code === 11000) {
+        throw alreadyPosted();
+      }
+      throw error;
+    }
     
-    console.log(`✅ Message saved for ${nymName}`);
+    console.log(`✅ ${parent ? 'Reply' : 'Message'} saved for ${nymName}`);
     
-    // Mark nonce as used to prevent reuse
-    pendingAuths.delete(nonce);
+    guestbookEvents.publish(messageDoc);
 
     res.json({ 
       success: true,
@@ -684,14 +1349,388 @@ app.post('/api/guestbook/submit', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(guestbookErrorBody(error));
+    }
     console.error('💥 Error submitting message:', error);
     res.status(500).json({ error: 'Failed to submit message' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log('\n🟢 BIP47 Terminal Server running!');
-  console.log(`→ http://localhost:${PORT}`);
-  console.log(`→ Callback: ${CALLBACK_URL}`);
-  console.log(`→ Using @bitcoinerlab/secp256k1\n`);
+// GET /api/guestbook/events - New entries, replies included, as they are
+// posted (Server-Sent Events). Each `entry` event carries the entry as
+// listed by /api/guestbook/messages and has a cursor as its id, so a
+// reconnecting EventSource first gets up to 100 entries it missed.
+const GUESTBOOK_EVENTS_KEEPALIVE_MS = 25 * 1000;
+const MAX_GUESTBOOK_EVENTS_CATCH_UP = 100;
+
+app.get('/api/guestbook/events', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const send = (entry) => {
+    if (closed) return;
+    const listed = { reactions: {}, myReactions: [], ...(entry.parentId ? {} : { replyCount: 0 }), ...entry };
+    res.write(`event: entry\nid: ${encodePageCursor(entry)}\ndata: ${JSON.stringify(listed)}\n\n`);
+  };
+
+  const unsubscribe = guestbookEvents.subscribe(send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), GUESTBOOK_EVENTS_KEEPALIVE_MS);
+  req.on('close', () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(keepAlive);
+  });
+
+  const since = req.get('Last-Event-ID') ? decodePageCursor(req.get('Last-Event-ID')) : null;
+  if (!since || !db) return;
+
+  try {
+    const missed = await db.collection('messages')
+      .find({
+        $and: [
+          { verified: true },
+          PUBLIC_MESSAGE_FILTER,
+          {
+            $or: [
+              { createdAt: { $gt: since.createdAt } },
+              { createdAt: since.createdAt, _id: { $gt: since._id } }
+            ]
+          }
+        ]
+      })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(MAX_GUESTBOOK_EVENTS_CATCH_UP)
+      .toArray();
+    (await withThreadInfo(missed, req.session ? req.session.paymentCode : null)).forEach(send);
+  } catch (error) {
+    console.error('❌ Guestbook events catch-up error:', error);
+  }
+});
+
+// Feeds of the newest entries, replies included, for feed readers:
+//   GET /guestbook/feed.atom   Atom 1.0
+//   GET /guestbook/feed.json   JSON Feed 1.1
+// ?nym= (payment code or nymName) makes a feed of one nym's entries. ?q=
+// and ?limit= (default 50, max 100) work as in /api/guestbook/messages.
+const GUESTBOOK_FEED_SIZE = 50;
+
+async function guestbookFeed(req, format) {
+  const { messages } = await findGuestbookPage(
+    { nym: req.query.nym, q: req.query.q, limit: req.query.limit || GUESTBOOK_FEED_SIZE },
+    [{ verified: true }, PUBLIC_MESSAGE_FILTER]
+  );
+
+  const nym = String(req.query.nym || '').trim().replace(/^\+/, '');
+  const search = String(req.query.q || '').trim();
+  const params = new URLSearchParams();
+  if (nym) params.set('nym', nym);
+  if (search) params.set('q', search);
+  const query = params.toString() ? `?${params}` : '';
+
+  const author = nym && messages.find((entry) => entry.paymentCode === nym || entry.nymName === nym);
+  return {
+    site: SITE_ORIGIN,
+    title: nym ? `${author ? author.nymName : nym} in the BIP47 Terminal guestbook` : 'BIP47 Terminal guestbook',
+    description: 'Cryptographically verified messages from the BIP47 community',
+    homeUrl: `${SITE_ORIGIN}/guestbook${query}`,
+    feedUrl: `${SITE_ORIGIN}/guestbook/feed.${format}${query}`,
+    entries: messages
+  };
+}
+
+const serveGuestbookFeed = (format) => async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const feed = await guestbookFeed(req, format);
+    res.set('Cache-Control', 'public, max-age=60');
+    if (format === 'atom') {
+      res.type('application/atom+xml; charset=utf-8').send(atomFeed(feed));
+    } else {
+      res.type('application/feed+json; charset=utf-8').send(JSON.stringify(jsonFeed(feed), null, 2));
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('💥 Error building guestbook feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+};
+
+app.get('/guestbook/feed.atom', serveGuestbookFeed('atom'));
+app.get('/guestbook/feed.json', serveGuestbookFeed('json'));
+
+// GET /api/guestbook/messages/:id/replies - The thread an entry belongs to,
+// oldest first (at most 200 replies): { threadId, replies }. Replies to
+// replies have a `parentId` other than `threadId`.
+app.get('/api/guestbook/messages/:id/replies', async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const entry = await findPublicMessage(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const threadId = entry.threadId || entry._id;
+    const replies = await db.collection('messages')
+      .find({ threadId, verified: true, ...PUBLIC_MESSAGE_FILTER })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(MAX_GUESTBOOK_THREAD_REPLIES)
+      .toArray();
+
+    res.json({
+      threadId,
+      replies: await withThreadInfo(replies, req.session ? req.session.paymentCode : null)
+    });
+  } catch (error) {
+    console.error('💥 Error fetching replies:', error);
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+});
+
+// PUT / DELETE /api/guestbook/messages/:id/reactions/:reaction - Add or take
+// back a reaction, as the same Auth47-verified nym that posts. A nym leaves
+// each reaction at most once per entry, so repeating either call changes
+// nothing. Answers the entry's { id, reactions, myReactions }.
+async function setGuestbookReaction(req, res, present) {
+  try {
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { reaction } = req.params;
+    if (!GUESTBOOK_REACTIONS.includes(reaction)) {
+      return res.status(400).json({ error: `Reaction must be one of ${GUESTBOOK_REACTIONS.join(', ')}` });
+    }
+
+    const author = await guestbookAuthor(req);
+    const entry = await findPublicMessage(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    await consumeGuestbookNonce(req, author);
+    const key = { messageId: entry._id, paymentCode: author.nym, reaction };
+    if (present) {
+      try {
+        await db.collection('guestbookReactions').insertOne({ ...key, createdAt: new Date() });
+      } catch (error) {
+        // Already there (unique index)
+        if (error.code !== 11000) throw error;
+      }
+    } else {
+      await db.collection('guestbookReactions').deleteOne(key);
+    }
+
+    const [summary] = await withThreadInfo([entry], author.nym);
+    res.json({ id: req.params.id, reactions: summary.reactions, myReactions: summary.myReactions });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(guestbookErrorBody(error));
+    }
+    console.error('💥 Error updating reaction:', error);
+    res.status(500).json({ error: 'Failed to update reaction' });
+  }
+}
+
+app.put('/api/guestbook/messages/:id/reactions/:reaction', (req, res) => setGuestbookReaction(req, res, true));
+app.delete('/api/guestbook/messages/:id/reactions/:reaction', (req, res) => setGuestbookReaction(req, res, false));
+
+// Guestbook moderation (see lib/guestbook-moderation.js), for the payment
+// codes in GUESTBOOK_MODERATORS signed in with Auth47. Actions take an
+// optional { reason }, answer with the moderation log entry they wrote, and
+// fail with 404 for unknown messages and 409 when there is nothing to do.
+//   GET    /api/admin/guestbook/messages        all messages; ?status=hidden
+//                                               or visible, and the parameters
+//                                               of findGuestbookPage
+//   POST   /api/admin/guestbook/messages/:id/hide
+//   POST   /api/admin/guestbook/messages/:id/restore
+//   DELETE /api/admin/guestbook/messages/:id
+//   GET    /api/admin/guestbook/bans
+//   POST   /api/admin/guestbook/bans            { paymentCode, reason }
+//   DELETE /api/admin/guestbook/bans/:paymentCode
+//   GET    /api/admin/guestbook/log             newest first; ?before=<seq>
+//   GET    /api/admin/guestbook/log/verify      checks the log's hash chain
+const GUESTBOOK_STATUS_FILTERS = {
+  all: null,
+  visible: PUBLIC_MESSAGE_FILTER,
+  hidden: { $or: [{ hidden: true }, { authorBanned: true }] }
+};
+
+function requireModerator(req, res, next) {
+  res.set('Cache-Control', 'no-store, private');
+  if (!req.session) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  if (!guestbookModeration.isModerator(req.session.paymentCode)) {
+    return res.status(403).json({ error: 'This payment code is not a guestbook moderator' });
+  }
+  if (!guestbookModeration.available) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  next();
+}
+
+const moderate = (label, handler) => async (req, res) => {
+  try {
+    const moderator = req.session.paymentCode;
+    res.json(await handler(req, { moderator, reason: (req.body || {}).reason }));
+  } catch (error) {
+    if (error.status) {
+      console.error(`❌ Guestbook ${label} failed: ${error.message}`);
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`💥 Guestbook ${label} error:`, error);
+    res.status(500).json({ error: `Failed to ${label}` });
+  }
+};
+
+app.get('/api/admin/guestbook/messages', requireModerator, moderate('list messages', async (req) => {
+  const status = req.query.status || 'all';
+  if (!(status in GUESTBOOK_STATUS_FILTERS)) {
+    throw Object.assign(new Error('status must be all, visible or hidden'), { status: 400 });
+  }
+  const filter = GUESTBOOK_STATUS_FILTERS[status];
+  return findGuestbookPage(req.query, filter ? [{ verified: true }, filter] : [{ verified: true }]);
+}));
+
+app.post('/api/admin/guestbook/messages/:id/hide', requireModerator, moderate('hide message', (req, options) =>
+  guestbookModeration.hide(parseMessageId(req.params.id), options)));
+
+app.post('/api/admin/guestbook/messages/:id/restore', requireModerator, moderate('restore message', (req, options) =>
+  guestbookModeration.restore(parseMessageId(req.params.id), options)));
+
+app.delete('/api/admin/guestbook/messages/:id', requireModerator, moderate('delete message', (req, options) =>
+  guestbookModeration.remove(parseMessageId(req.params.id), options)));
+
+app.get('/api/admin/guestbook/bans', requireModerator, moderate('list bans', async () => ({
+  bans: await guestbookModeration.listBans()
+})));
+
+app.post('/api/admin/guestbook/bans', requireModerator, moderate('ban payment code', (req, options) => {
+  const paymentCode = String((req.body || {}).paymentCode || '').trim();
+  try {
+    bip47.fromBase58(paymentCode);
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid payment code: ${error.message}`), { status: 400 });
+  }
+  return guestbookModeration.ban(paymentCode, options);
+}));
+
+app.delete('/api/admin/guestbook/bans/:paymentCode', requireModerator, moderate('unban payment code', (req, options) =>
+  guestbookModeration.unban(req.params.paymentCode, options)));
+
+app.get('/api/admin/guestbook/log', requireModerator, moderate('load moderation log', async (req) => {
+  const limit = pageLimit(req.query.limit, 50, 100);
+  const before = req.query.before ? parseInt(req.query.before, 10) : null;
+  if (before !== null && !(before > 0)) {
+    throw Object.assign(new Error('Invalid before parameter'), { status: 400 });
+  }
+  const entries = await guestbookModeration.history({ limit, before });
+  return {
+    entries,
+    nextBefore: entries.length === limit ? entries[entries.length - 1].seq : null
+  };
+}));
+
+app.get('/api/admin/guestbook/log/verify', requireModerator, moderate('verify moderation log', () =>
+  guestbookModeration.verifyLog()));
+
+async function startServer() {
+  // Connect first so the auth store can use MongoDB when it is available
+  await connectToDatabase();
+  pendingAuths = await createExpiringStore('pendingAuths');
+  auditLog = createAuditLog(db ? db.collection('authAudit') : null);
+  await auditLog.init();
+  if (!auditLog.available) {
+    console.log('⚠️  No database - auth audit events are only logged to the console');
+  }
+  guestbookModeration = createGuestbookModeration({
+    messages: db ? db.collection('messages') : null,
+    reactions: db ? db.collection('guestbookReactions') : null,
+    bans: db ? db.collection('guestbookBans') : null,
+    log: db ? db.collection('moderationLog') : null,
+    moderators: GUESTBOOK_MODERATORS
+  });
+  await guestbookModeration.init();
+  if (guestbookModeration.available && !GUESTBOOK_MODERATORS.length) {
+    console.log('⚠️  GUESTBOOK_MODERATORS not set - guestbook moderation disabled');
+  }
+  authPipeline = createAuth47Pipeline({
+    store: pendingAuths,
+    verifierFor,
+    origin: SITE_ORIGIN,
+    ttl: AUTH_CHALLENGE_TTL,
+    events: authEvents,
+    audit: auditLog
+  });
+
+  const oidcClients = createClientRegistry(db ? db.collection('oidcClients') : null);
+  if (oidcClients.backend === 'memory') {
+    console.log('⚠️  No database - OIDC clients are kept in memory and lost on restart');
+  }
+  app.use(createOidcProvider({
+    issuer: OIDC_ISSUER,
+    signingKey: oidcSigningKey,
+    clients: oidcClients,
+    requests: await createExpiringStore('oidcRequests'),
+    codes: await createExpiringStore('oidcCodes'),
+    pendingAuths,
+    isBoundRequest,
+    sessions,
+    audit: auditLog,
+    lookupNymName: paynym.nymName,
+    registrationToken: process.env.OIDC_REGISTRATION_TOKEN,
+    tokenTtl: OIDC_TOKEN_TTL
+  }));
+
+  // Multi-tenant Auth47 API. API_ADMIN_TOKEN enables client registration.
+  const apiClients = createApiClientRegistry(db ? db.collection('apiClients') : null);
+  await apiClients.init();
+  const webhooks = createWebhookDispatcher({
+    collection: db ? db.collection('webhookDeliveries') : null,
+    secretFor: async (clientId) => {
+      const client = await apiClients.find(clientId);
+      return client && client.webhookSecret;
+    }
+  });
+  await webhooks.init();
+  if (apiClients.backend === 'memory') {
+    console.log('⚠️  No database - API clients and webhook deliveries are kept in memory');
+  }
+  app.use(createAuth47Api({
+    clients: apiClients,
+    pendingAuths,
+    pipeline: authPipeline,
+    events: authEvents,
+    webhooks,
+    audit: auditLog,
+    adminToken: process.env.API_ADMIN_TOKEN
+  }));
+
+  app.listen(PORT, () => {
+    console.log('\n🟢 BIP47 Terminal Server running!');
+    console.log(`→ http://localhost:${PORT}`);
+    console.log(`→ Callback: ${CALLBACK_URL}`);
+    console.log(`→ Auth store: ${pendingAuths.backend}`);
+    console.log(`→ Using @bitcoinerlab/secp256k1\n`);
+  });
+}
+
+startServer().catch((error) => {
+  console.error('💥 Failed to start server:', error);
+  process.exit(1);
 });